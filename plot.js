@@ -9,20 +9,79 @@ var DashGraph = DashGraph || {};
 /**
  * Stores data that will be plotted and all of it's options.
  * 
- * @param {Array} x A list of increasing x-coordinates for the data. *     
+ * @param {Array} x A list of increasing x-coordinates for the data.  May be a
+ *     typed array (such as a Float64Array).
  * @param {Array} y A list of y-coordinates for the data. Must match the length
  *     of x.  Multiple y-values for the given x-coordinate may be specified in
  *     two ways: 1. Each individual y-value is another Array of values, or 2. As 
  *     separate arrays.  For example, for 2 flat lines of 100 points, it could 
  *     be specified as [[1,2], [1,2], [1,2], ...] or as 
- *     [[1,1,1, ...], [2,2,2,...]].  
+ *     [[1,1,1, ...], [2,2,2,...]].  Any of these arrays may be typed arrays.
+ *     The separate arrays layout is used when the number of arrays does not
+ *     match the length of x, unless the yLayout option says otherwise.
  * @param {Object} options Optional inputs as listed below:
- *     plotType: String to specify plotting as 'normal', or 'fast'.  Browsers
+ *     yLayout: How multiple y-values are laid out, as 'rows' (an Array of
+ *         values per x) or 'columns' (an Array of values per line).  Set this
+ *         when there can be as many lines as points, which is read as rows
+ *         otherwise.
+ *     plotType: String to specify plotting as 'normal', 'fast', 'scatter',
+ *         'step', 'bar' or 'area'.  Normal and fast draw lines.  Browsers
  *         implement pixel interpolation differently, and the normal algorithm
  *         uses this.  It is a bit slower, and the look can be inconsistent 
  *         between browsers.  Fast rounds every plot line to single pixels.
  *         This keeps a more consistent and faster plot, while sacrificing some
- *         plot quality.
+ *         plot quality.  Scatter draws a marker at each point.  Step draws
+ *         horizontal and vertical lines between the points (see stepMode).
+ *         Bar draws a bar from the baseline to each point (see barWidth).
+ *         Area draws a line, and fills under it down to the baseline.
+ *     marker: The shape of the scatter markers, as 'circle', 'square',
+ *         'diamond', 'triangle' or 'cross'.  Defaults to 'circle'.
+ *     markerSize: The radius of the scatter markers in pixels.  Defaults to 3.
+ *     stepMode: Where a step changes value, as 'post' (at the next point, the
+ *         default), 'pre' (at the prior point) or 'mid' (halfway between).
+ *     barWidth: The width of each bar, in x-units.  Defaults to 80% of the
+ *         average spacing of the points.
+ *     baseline: The y-value bars and areas are drawn from.  Defaults to 0.
+ *     decimation: String to specify how points are reduced before plotting,
+ *         as 'none' or 'minmax'.  'none' draws a line to every point that
+ *         moves at least a tenth of a pixel.  'minmax' keeps only the first,
+ *         minimum, maximum and last point within each pixel column, which
+ *         draws the same picture but is much faster for large datasets.
+ *     name: The name of the data, shown in the legend.  For multiple lines, may
+ *         be an Array with a name for each line.
+ *     axis: String to specify the y-axis the data is plotted against, as 'left'
+ *         or 'right'.  Each axis is scaled separately.
+ *     maxLength: The maximum number of points to keep when data is added with
+ *         append.  Once it is reached, the oldest points are removed.  The
+ *         data is copied into a buffer, so this must be set to use append.
+ *     color: The color of the lines, or an Array with a color for each line.
+ *         By default, colors are taken from the palette of the plot's theme.
+ *     lineWidth: The width of the lines, in pixels.  Defaults to the theme's.
+ *     lineDash: The dash pattern of the lines, as an Array of dash and gap
+ *         lengths (as for the canvas setLineDash).  Defaults to the theme's.
+ *     filter: Colors the lines by segment or by value, instead of a single
+ *         color per line.  An Object in one of these forms:
+ *         {index: [0, 100, ...], colors: [...]} starts each color at an index
+ *             of the data.  The indices are shifted as points are removed by
+ *             append.
+ *         {x: [x0, x1, ...], colors: [...]} starts each color at an x-value.
+ *             Points before x0 use the first color.
+ *         {thresholds: [t1, ..., tn], colors: [c0, ..., cn]} colors each point
+ *             by its value.  Values below t1 use c0, values from t1 up to t2
+ *             use c1, and so on.
+ *         {colormap: [c0, c1, ...], range: [min, max]} colors each point by
+ *             its value, blending through the colormap from min to max.  The
+ *             colormap colors must be '#RGB', '#RRGGBB' or 'rgb(r, g, b)'.
+ *         The thresholds and colormap forms use the value of each line, or
+ *         the values of a separate channel if it is given (channel: an Array
+ *         with a value per point, shared by every line).  With maxLength,
+ *         the channel values are passed to append.
+ *     band: Fills a translucent band between two lines (columns) of the
+ *         y-data, such as an uncertainty or a min/max envelope.  An Object
+ *         with the columns as {lower: 0, upper: 2, center: 1}.  The lower
+ *         and upper lines are not drawn, and are shown and hidden with the
+ *         center line.  The center is optional; without it, the band is shown
+ *         and hidden with the lower line.
  */
 DashGraph.Data = function(x, y, options) {
     // Set input values.
@@ -34,24 +93,271 @@ DashGraph.Data = function(x, y, options) {
         options = {};
     }
     this.plotType = options.plotType ? options.plotType : 'normal';
+    if (this.plotType === 'quick') {
+        // The original name of 'fast'
+        this.plotType = 'fast';
+    }
+    this.marker = options.marker ? options.marker : 'circle'; // The shape of the scatter markers
+    this.markerSize = options.markerSize ? options.markerSize : 3; // The radius of the scatter markers in pixels
+    this.stepMode = options.stepMode ? options.stepMode : 'post'; // Where steps change value, as 'pre', 'post' or 'mid'
+    this.barWidth = options.barWidth ? options.barWidth : null; // The width of the bars in x-units (null means 80% of the average spacing)
+    this.baseline = options.baseline ? options.baseline : 0; // The y-value bars and areas are drawn from
+    this.decimation = options.decimation ? options.decimation : 'none';
+    this.axis = options.axis ? options.axis : 'left';
+    this.name = options.name ? options.name : null;
+    this.color = options.color ? options.color : null; // The color of the lines, or an array of colors per line (null uses the palette)
+    this.lineWidth = options.lineWidth ? options.lineWidth : null; // The width of the lines (null uses the theme)
+    this.lineDash = options.lineDash ? options.lineDash : null; // The dash pattern of the lines, as for setLineDash (null uses the theme)
+    this.band = options.band ? options.band : null; // The columns of the band, as {lower, upper, center}
     
     // Set the filter
     // If there is a filter, then the data has it's own color to specify.
-    this.filter = options.filter;
-    if (this.filter) {
+    this.filter = null; // The filter, copied from the option along with its state
+    if (options.filter) {
         this.hasFilter = true;
         this.hasColor = true;
+        this.initFilter(options.filter);
     } else {
         this.hasFilter=  false;
         this.hasColor = false;
     }
     
+    // Determine how the y-data is laid out.  'single' is one value per x,
+    // 'rows' is an array of values per x, and 'columns' is an array of values
+    // per line.  Without the option, it is guessed from the lengths.
+    var yLayout = options.yLayout ? options.yLayout : null;
+    if (yLayout !== null && yLayout !== 'rows' && yLayout !== 'columns') {
+        throw new Error("DashGraph.Data: yLayout must be 'rows' or 'columns'");
+    }
+    if (!DashGraph.isArray(this.y[0])) {
+        this.yLayout = 'single';
+        this.numLines = 1;
+    } else if (yLayout === 'columns' || (yLayout === null && this.y.length !== this.x.length)) {
+        this.yLayout = 'columns';
+        this.numLines = this.y.length;
+    } else {
+        this.yLayout = 'rows';
+        this.numLines = this.y[0].length;
+    }
+    
+    // Every line starts visible.  The colors of each line are set when it is
+    // plotted.
+    this.lineColors = [];
+    this.visible = [];
+    for (var j = 0; j < this.numLines; j++) {
+        this.visible.push(true);
+    }
+    
+    if (this.band) {
+        // Copy the band, so the option isn't changed
+        this.band = {
+            lower: this.band.lower,
+            upper: this.band.upper,
+            center: this.band.center !== undefined ? this.band.center : null
+        };
+        if (!(this.band.lower >= 0 && this.band.lower < this.numLines &&
+                this.band.upper >= 0 && this.band.upper < this.numLines)) {
+            throw new Error("DashGraph.Data: band columns must be within the y-data");
+        }
+    }
+    
+    // Setup the buffer used for appending data
+    this.maxLength = options.maxLength ? options.maxLength : null;
+    if (this.maxLength) {
+        this.initBuffer();
+    }
+    
     // Set internal values.  These specify the range over which the data is 
     // valid.
     this.startInd = 0;
     this.stopInd = this.x.length-1;
 }
 
+/**
+ * Copies the data into the buffer used by append.  The buffer holds twice
+ * maxLength points, and x and y are views on the valid part of it.  When the
+ * end of the buffer is reached, the valid part is moved to the start, so the
+ * data is always contiguous and the cost of a move is shared across maxLength
+ * appends.
+ */
+DashGraph.Data.prototype.initBuffer = function() {
+    var i, j;
+    var capacity = 2 * this.maxLength;
+    // Only keep the latest maxLength points
+    var length = Math.min(this.x.length, this.maxLength);
+    var offset = this.x.length - length;
+    
+    // The original layout is how values are passed to append
+    this.appendLayout = this.yLayout;
+    
+    this.xBuffer = new Float64Array(capacity);
+    this.yBuffers = [];
+    for (j = 0; j < this.numLines; j++) {
+        this.yBuffers.push(new Float64Array(capacity));
+    }
+    for (i = 0; i < length; i++) {
+        this.xBuffer[i] = this.x[offset + i];
+        for (j = 0; j < this.numLines; j++) {
+            this.yBuffers[j][i] = this.getYValue(offset + i, j);
+        }
+    }
+    if (offset > 0 && this.filter && this.filter.type === 'index') {
+        this.evictFilter(offset);
+    }
+    // The channel of the filter is buffered along with the lines
+    if (this.filter && this.filter.channel) {
+        this.channelBuffer = new Float64Array(capacity);
+        for (i = 0; i < length; i++) {
+            this.channelBuffer[i] = this.filter.channel[offset + i];
+        }
+    }
+    
+    // The buffers are stored a line at a time
+    this.yLayout = this.numLines === 1 ? 'single' : 'columns';
+    this.bufferStart = 0;
+    this.bufferLength = length;
+    this.updateBufferViews();
+}
+
+/**
+ * Sets x and y to views on the valid part of the buffer.
+ */
+DashGraph.Data.prototype.updateBufferViews = function() {
+    var start = this.bufferStart;
+    var stop = this.bufferStart + this.bufferLength;
+    this.x = this.xBuffer.subarray(start, stop);
+    if (this.yLayout === 'single') {
+        this.y = this.yBuffers[0].subarray(start, stop);
+    } else {
+        this.y = [];
+        for (var j = 0; j < this.numLines; j++) {
+            this.y.push(this.yBuffers[j].subarray(start, stop));
+        }
+    }
+    if (this.channelBuffer) {
+        this.filter.channel = this.channelBuffer.subarray(start, stop);
+    }
+}
+
+/**
+ * Adds points to the end of the data, removing the oldest points once there
+ * are more than maxLength.
+ * @param {Array|Number} xs The x-coordinates to add, which must be increasing
+ *     and after the existing data.  May be a single value.
+ * @param {Array|Number} ys The y-coordinates to add, laid out the same way as
+ *     the y passed to the constructor.  For a single x, may be a single value
+ *     (or a single array of values for multiple lines).
+ * @param {Array|Number} channels The values to add to the channel of the
+ *     filter, one per x.  Only used, and required, when the filter has a
+ *     channel.
+ */
+DashGraph.Data.prototype.append = function(xs, ys, channels) {
+    var i, j, n, pos;
+    var capacity = this.xBuffer ? this.xBuffer.length : 0;
+    var evicted = 0;
+    if (!this.maxLength) {
+        throw new Error("DashGraph.Data: maxLength must be set to append data");
+    }
+    if (this.channelBuffer && channels === undefined) {
+        throw new Error("DashGraph.Data: the values of the filter's channel must be appended");
+    }
+    
+    // Allow a single point to be added
+    if (!DashGraph.isArray(xs)) {
+        xs = [xs];
+        channels = [channels];
+        if (this.appendLayout === 'columns') {
+            ys = Array.prototype.map.call(ys, function(val) {
+                return [val];
+            });
+        } else {
+            ys = [ys];
+        }
+    }
+    
+    for (i = 0; i < xs.length; i++) {
+        // Move the valid data to the start of the buffer once the end is hit
+        if (this.bufferStart + this.bufferLength === capacity) {
+            n = this.bufferStart + this.bufferLength;
+            this.xBuffer.copyWithin(0, this.bufferStart, n);
+            for (j = 0; j < this.numLines; j++) {
+                this.yBuffers[j].copyWithin(0, this.bufferStart, n);
+            }
+            if (this.channelBuffer) {
+                this.channelBuffer.copyWithin(0, this.bufferStart, n);
+            }
+            this.bufferStart = 0;
+        }
+        
+        pos = this.bufferStart + this.bufferLength;
+        this.xBuffer[pos] = xs[i];
+        if (this.appendLayout === 'single') {
+            this.yBuffers[0][pos] = ys[i];
+        } else if (this.appendLayout === 'rows') {
+            for (j = 0; j < this.numLines; j++) {
+                this.yBuffers[j][pos] = ys[i][j];
+            }
+        } else {
+            for (j = 0; j < this.numLines; j++) {
+                this.yBuffers[j][pos] = ys[j][i];
+            }
+        }
+        if (this.channelBuffer) {
+            this.channelBuffer[pos] = channels[i];
+        }
+        this.bufferLength += 1;
+        
+        // Remove the oldest point if there are too many
+        if (this.bufferLength > this.maxLength) {
+            this.bufferStart += 1;
+            this.bufferLength -= 1;
+            evicted += 1;
+        }
+    }
+    
+    if (evicted > 0 && this.filter && this.filter.type === 'index') {
+        this.evictFilter(evicted);
+    }
+    this.updateBufferViews();
+    this.resetBounds();
+}
+
+/**
+ * Shifts the filter indices to account for points removed from the start of
+ * the data.  Colors that only applied to the removed points are dropped.
+ * @param {uint} count The number of points removed.
+ */
+DashGraph.Data.prototype.evictFilter = function(count) {
+    var index = this.filter.index;
+    for (var i = 0; i < index.length; i++) {
+        index[i] -= count;
+    }
+    // Drop colors that are replaced by the next color at or before the start
+    while (index.length > 1 && index[1] <= 0) {
+        index.shift();
+        this.filter.colors.shift();
+    }
+    if (index[0] < 0) {
+        index[0] = 0;
+    }
+}
+
+/**
+ * Retrieves a single y-value from the data, independent of how it is laid out.
+ * @param {uint} i The index of the point.
+ * @param {uint} j The line (column) of the y-data.  Ignored for single lines.
+ * @return {Number} Returns the y-value.
+ */
+DashGraph.Data.prototype.getYValue = function(i, j) {
+    if (this.yLayout === 'single') {
+        return this.y[i];
+    } else if (this.yLayout === 'rows') {
+        return this.y[i][j];
+    } else {
+        return this.y[j][i];
+    }
+}
+
 /**
  * Resets the start and stop inds to be the entire data 
  */
@@ -60,16 +366,7 @@ DashGraph.Data.prototype.resetBounds = function() {
     this.stopInd = this.x.length-1;
     
     // Set the filter index as well if it exists
-    if (this.filter) {
-        this.filter.curFiltInd = 0;
-        if (this.filter.curFiltInd === (this.filter.index.length-1)) {
-            // -1 will never register that it has a next color
-            this.filter.nextInd = -1;
-        } else {
-            // nextInd holds the nextInd where the color changes.
-            this.filter.nextInd = this.filter.index[this.filter.curFiltInd + 1];
-        }
-    }
+    this.resetFilter();
 }
 
 /**
@@ -83,67 +380,256 @@ DashGraph.Data.prototype.setBounds = function(startTime, stopTime) {
     this.stopInd = DashGraph.binarySearch(this.x, stopTime, true);
     
     // Set the filter index if it exists
-    if (this.filter) {
+    this.resetFilter();
+}
+
+/**
+ * Sets the current color of the filter to the one at startInd, so the colors
+ * can be stepped through with updateFilter.
+ * @param {uint} j The line (column) of the y-data that will be stepped
+ *     through.  Defaults to the first.
+ */
+DashGraph.Data.prototype.resetFilter = function(j) {
+    if (!this.filter) {
+        return;
+    }
+    this.filter.line = j !== undefined ? j : 0;
+    if (this.filter.type !== 'index') {
+        // The other filters check the color of every point
+        this.filter.color = this.getColorAt(this.startInd, this.filter.line);
+    } else if (this.startInd >= this.filter.index[this.filter.index.length-1]) {
         // If this is beyond our last index, then that is the curFiltInd
-        if (this.startInd > this.filter.index[this.filter.index.length-1]) {
-            this.filter.curFiltInd = this.filter.index.length-1;
-            this.filter.nextInd = -1;
-        } else {
-            this.filter.curFiltInd = DashGraph.binarySearch(this.filter.index, this.startInd);
-            this.filter.nextInd = this.filter.index[this.filter.curFiltInd + 1];
+        this.filter.curFiltInd = this.filter.index.length-1;
+        this.filter.nextInd = -1;
+    } else {
+        this.filter.curFiltInd = DashGraph.binarySearch(this.filter.index, this.startInd);
+        this.filter.nextInd = this.filter.index[this.filter.curFiltInd + 1];
+    }
+}
+
+/**
+ * Checks the filter, and copies it along with what it needs to find the
+ * colors.  The copy keeps the state of the filter (and the indices shifted by
+ * append), so a filter option can be shared by several datasets.
+ * @param {Object} opts The filter option.
+ */
+DashGraph.Data.prototype.initFilter = function(opts) {
+    var filter = {
+        index: opts.index ? Array.prototype.slice.call(opts.index) : null,
+        x: opts.x ? opts.x : null,
+        thresholds: opts.thresholds ? opts.thresholds : null,
+        colors: opts.colors ? opts.colors.slice() : null,
+        colormap: opts.colormap ? opts.colormap : null,
+        range: opts.range ? opts.range : null,
+        channel: opts.channel ? opts.channel : null
+    };
+    this.filter = filter;
+    if (filter.index) {
+        filter.type = 'index';
+    } else if (filter.x) {
+        filter.type = 'x';
+    } else if (filter.thresholds) {
+        filter.type = 'thresholds';
+        if (filter.colors.length !== filter.thresholds.length + 1) {
+            throw new Error("DashGraph.Data: a threshold filter needs one more color than thresholds");
         }
+    } else if (filter.colormap) {
+        filter.type = 'colormap';
+        if (!filter.range) {
+            throw new Error("DashGraph.Data: a colormap filter needs a range");
+        }
+        filter.table = DashGraph.makeColormap(filter.colormap);
+    } else {
+        throw new Error("DashGraph.Data: a filter needs index, x, thresholds or colormap");
+    }
+    filter.line = 0;
+}
+
+/**
+ * Returns the width of the bars, in x-units.
+ */
+DashGraph.Data.prototype.getBarWidth = function() {
+    if (this.barWidth !== null) {
+        return this.barWidth;
+    }
+    if (this.x.length < 2) {
+        return 1;
     }
+    return .8 * (this.x[this.x.length-1] - this.x[0]) / (this.x.length - 1);
 }
 
 /**
- * Searches through the y-data to find the min and max.
- * @return {Array} Returns the min and max values in the data, as [yMin, yMax]
+ * Searches through the y-data to find the min and max.  Hidden lines are
+ * ignored.
+ * @param {bool} positive If only values above zero are included, for a log
+ *     axis.
+ * @return {Array} Returns the min and max values in the data, as [yMin, yMax],
+ *     or null if no lines are visible (or no values are positive).
  */
-DashGraph.Data.prototype.getYBounds = function() {
+DashGraph.Data.prototype.getYBounds = function(positive) {
     // Determine the maximum and minimum y data.
     // If the y-values are arrays, need to seek through each value
     var startInd = this.startInd;
     var stopInd = this.stopInd;
-    var yMin, yMax, i;
-    if (DashGraph.isArray(this.y[startInd])) {
-        yMin = this.y[startInd][0];
-        yMax = this.y[startInd][0];
-        var numElems = this.y[startInd].length;
+    var yMin, yMax, i, j, val, col;
+    if (positive) {
+        // Slower, but only needed for log axes
+        yMin = Infinity;
+        yMax = -Infinity;
+        for (j = 0; j < this.numLines; j++) {
+            if (!this.visible[j]) {
+                continue;
+            }
+            for (i = startInd; i <= stopInd; i++) {
+                val = this.getYValue(i, j);
+                if (val > 0) {
+                    yMin = Math.min(yMin, val);
+                    yMax = Math.max(yMax, val);
+                }
+            }
+        }
+        return yMin === Infinity ? null : [yMin, yMax];
+    }
+    if (this.yLayout === 'single') {
+        if (!this.visible[0]) {
+            return null;
+        }
+        yMin = this.y[startInd];
+        yMax = this.y[startInd];
+        for (i = startInd+1; i <= stopInd; i++) {
+            val = this.y[i];
+            if (val < yMin) {
+              yMin = val;
+            } else if (val > yMax) {
+              yMax = val;
+            }
+        }
+        return [yMin, yMax];
+    }
+    
+    yMin = Infinity;
+    yMax = -Infinity;
+    if (this.yLayout === 'rows') {
+        var numElems = this.numLines;
         // Iterate over all the values
         for (i = startInd; i <= stopInd; i++) {
             // Iterate over each value for that particular spot
-            for (var j = 0; j < numElems; j++) {
+            for (j = 0; j < numElems; j++) {
+                if (!this.visible[j]) {
+                    continue;
+                }
                 val = this.y[i][j];
                 if (val < yMin) {
                   yMin = val;
-                } else if (val > yMax) {
+                }
+                if (val > yMax) {
                   yMax = val;
                 }
             }            
         }        
     } else {
-        yMin = this.y[startInd];
-        yMax = this.y[startInd];
-        for (i = startInd+1; i <= stopInd; i++) {
-            val = this.y[i];
-            if (val < yMin) {
-              yMin = val;
-            } else if (val > yMax) {
-              yMax = val;
+        // Iterate over each line, and all the values in it
+        for (j = 0; j < this.numLines; j++) {
+            if (!this.visible[j]) {
+                continue;
+            }
+            col = this.y[j];
+            for (i = startInd; i <= stopInd; i++) {
+                val = col[i];
+                if (val < yMin) {
+                  yMin = val;
+                }
+                if (val > yMax) {
+                  yMax = val;
+                }
             }
         }
     }    
+    if (yMin === Infinity) {
+        return null;
+    }
     return [yMin, yMax];
 }
 
+/**
+ * Retrieves the name of a line of the data.
+ * @param {uint} j The line (column) of the y-data.
+ * @return {String} Returns the name, or null if the line has no name.
+ */
+DashGraph.Data.prototype.getName = function(j) {
+    if (DashGraph.isArray(this.name)) {
+        return this.name[j] !== undefined ? this.name[j] : null;
+    } else if (this.name && this.numLines > 1 && !(this.band && this.numLines - (this.band.center !== null ? 2 : 1) === 1)) {
+        // Number each line when there is a single name for multiple lines
+        // (a band and its center are a single line)
+        return this.name + " " + (j+1);
+    } else if (this.name) {
+        return this.name;
+    }
+    return null;
+}
+
+/**
+ * Returns if a line of the data is visible.
+ * @param {uint} j The line (column) of the y-data.
+ */
+DashGraph.Data.prototype.isVisible = function(j) {
+    return this.visible[j];
+}
+
+/**
+ * Shows or hides a line of the data.  The plot must be rendered again for this
+ * to take effect.
+ * @param {uint} j The line (column) of the y-data.
+ * @param {bool} visible True to show the line, false to hide it.
+ */
+DashGraph.Data.prototype.setVisible = function(j, visible) {
+    this.visible[j] = visible;
+    // The edges of the band follow the line that owns it
+    if (this.band && j === this.getBandOwner()) {
+        this.visible[this.band.lower] = visible;
+        this.visible[this.band.upper] = visible;
+    }
+}
+
+/**
+ * Returns the line (column) the band is drawn in the color of, and is shown
+ * and hidden with.  This is the center, or the lower line without a center.
+ * @return {int} Returns the column, or -1 if there is no band.
+ */
+DashGraph.Data.prototype.getBandOwner = function() {
+    if (!this.band) {
+        return -1;
+    }
+    return this.band.center !== null ? this.band.center : this.band.lower;
+}
+
+/**
+ * Returns if a line of the data is an edge of the band, which is filled
+ * rather than drawn as a line.
+ * @param {uint} j The line (column) of the y-data.
+ */
+DashGraph.Data.prototype.isBandEdge = function(j) {
+    return this.band !== null && (j === this.band.lower || j === this.band.upper);
+}
+
 
 /**
  * Takes the index into the data and checks the filter to see if the color
- * should change.
+ * should change.  The indices must be checked in order, from the startInd the
+ * filter was reset to.
  * @param {uint} ind The currently plotted index.
  * @return {bool} Returns true if the filter color changed, false otherwise.
  */
 DashGraph.Data.prototype.updateFilter = function(ind) {
+    if (this.filter.type !== 'index') {
+        var color = this.getColorAt(ind, this.filter.line);
+        if (color === this.filter.color) {
+            return false;
+        }
+        this.filter.color = color;
+        return true;
+    }
     // Only will change if the index is equal to the 'nextInd'
     if (ind === this.filter.nextInd) {
         // Set the next ind
@@ -159,17 +645,81 @@ DashGraph.Data.prototype.updateFilter = function(ind) {
     }
 }
 
+/**
+ * Finds the index of the point with the x-value nearest the one given.
+ * @param {Number} xVal The x-value to search for.
+ * @return {int} Returns the index, or -1 if there is no data.
+ */
+DashGraph.Data.prototype.getNearestIndex = function(xVal) {
+    if (this.x.length === 0) {
+        return -1;
+    }
+    var lo = DashGraph.binarySearch(this.x, xVal);
+    var hi = DashGraph.binarySearch(this.x, xVal, true);
+    if (Math.abs(this.x[hi] - xVal) < Math.abs(this.x[lo] - xVal)) {
+        return hi;
+    }
+    return lo;
+}
+
+/**
+ * Retrieves the color a line is plotted in at a given index, including the
+ * color of the filter at that index.
+ * @param {uint} i The index of the point.
+ * @param {uint} j The line (column) of the y-data.
+ * @return {String} Returns the color.
+ */
+DashGraph.Data.prototype.getColorAt = function(i, j) {
+    var filter = this.filter;
+    if (!filter) {
+        return this.lineColors[j];
+    }
+    if (filter.type === 'index') {
+        return filter.colors[DashGraph.findSegment(filter.index, i)];
+    } else if (filter.type === 'x') {
+        return filter.colors[DashGraph.findSegment(filter.x, this.x[i])];
+    }
+    
+    var val = filter.channel ? filter.channel[i] : this.getYValue(i, j);
+    if (filter.type === 'thresholds') {
+        // Values below the first threshold use the first color
+        if (!(val >= filter.thresholds[0])) {
+            return filter.colors[0];
+        }
+        return filter.colors[DashGraph.findSegment(filter.thresholds, val) + 1];
+    }
+    var frac = (val - filter.range[0]) / (filter.range[1] - filter.range[0]);
+    if (!(frac > 0)) {
+        frac = 0;
+    } else if (frac > 1) {
+        frac = 1;
+    }
+    return filter.table[Math.round(frac * (filter.table.length - 1))];
+}
+
 /**
  * Retrieves the current color of the plot.
  * @return {String} Returns the color as a string, if it exists (null otherwise)
  */
 DashGraph.Data.prototype.getColor = function() {
-    // Only will change if the index is equal to the 'nextInd'
-    if (this.filter) {
-        return this.filter.colors[this.filter.curFiltInd];
-    } else {
+    if (!this.filter) {
+        return null;
+    }
+    if (this.filter.type !== 'index') {
+        return this.filter.color;
+    }
+    return this.filter.colors[this.filter.curFiltInd];
+}
+
+/**
+ * Retrieves the colors the filter can plot in, as shown in the legend.
+ * @return {Array} Returns the colors, or null if there is no filter.
+ */
+DashGraph.Data.prototype.getFilterColors = function() {
+    if (!this.filter) {
         return null;
     }
+    return this.filter.type === 'colormap' ? this.filter.colormap : this.filter.colors;
 }
 
 /**
@@ -177,10 +727,8 @@ DashGraph.Data.prototype.getColor = function() {
  */
 DashGraph.Plot = function(node, opts) {
     this.node = node;
-    
-    // Storage for other data, like the divs used for labels
-    this.labelDivs = [];
-    this.labelDivPointer = 0;
+    this.innerNode = null; // The div the plot is drawn in, which is made by initialize
+    this.destroyed = false; // If destroy has been called
     
     // Set the options to an empty class if undefined
     if (opts === undefined) {
@@ -188,19 +736,55 @@ DashGraph.Plot = function(node, opts) {
     }
   
     // Setup options and calculated values (for now, hard-code all of these)
+    this.renderer = opts.renderer ? opts.renderer : new DashGraph.CanvasRenderer(); // Creates the elements the plot is drawn in, as a DashGraph.CanvasRenderer or DashGraph.SVGRenderer (for use without a browser)
     this.width = opts.width ? opts.width : 400; // width of the entire plot
     this.height = opts.height ? opts.height: 300; // height of the entire plot
-    this.xLabelSize = opts.xLabelSize ? opts.xLabelSize : 50; // Size in pixels that the xlabel will use
-    this.yLabelSize = opts.yLabelSize ? opts.yLabelSize : 50; // Size in pixels that the ylabel will use
+    this.fillContainer = opts.fillContainer ? opts.fillContainer : false; // If the plot fills the node, and resizes with it (the node must be sized by the page, and width and height are only used until it has a size)
+    this.xLabelSize = opts.xLabelSize ? opts.xLabelSize : null; // Width in pixels left of the plot for the y labels (null means measured)
+    this.yLabelSize = opts.yLabelSize ? opts.yLabelSize : null; // Height in pixels below the plot for the x labels (null means measured)
+    this.y2LabelSize = opts.y2LabelSize ? opts.y2LabelSize : null; // Width in pixels right of the plot for the right y-axis labels (null means measured)
+    this.fixedPixelRatio = opts.pixelRatio ? opts.pixelRatio : null; // Canvas pixels per CSS pixel (null follows the screen's devicePixelRatio)
+    this.theme = DashGraph.makeTheme(opts.theme); // The colors and fonts, as the name of a theme in DashGraph.themes, or an object of the options to change
+    this.fontSize = opts.fontSize ? opts.fontSize : this.theme.fontSize; // Size in pixels of the label font
+    this.fontFamily = opts.fontFamily ? opts.fontFamily : this.theme.fontFamily; // Family of the label font
+    this.titleFontSize = opts.titleFontSize ? opts.titleFontSize : this.theme.titleFontSize; // Size in pixels of the title font
+    this.labelPadding = opts.labelPadding ? opts.labelPadding : 4; // Pixels between the labels and the plot
+    this.title = opts.title ? opts.title : null; // Title shown above the plot
+    this.xLabel = opts.xLabel ? opts.xLabel : null; // Title shown below the x-axis
+    this.yLabel = opts.yLabel ? opts.yLabel : null; // Title shown left of the y-axis
+    this.interaction = opts.interaction ? opts.interaction : 'zoom'; // What dragging does, as 'zoom' or 'pan' (alt-drag does the other)
+    this.wheelZoom = opts.wheelZoom !== false; // If the mouse wheel zooms
+    this.longPressTime = opts.longPressTime ? opts.longPressTime : 500; // Milliseconds to hold a touch to show the values
+    this.doubleTapTime = opts.doubleTapTime ? opts.doubleTapTime : 300; // Milliseconds between the taps of a double-tap
+    this.tapPixels = opts.tapPixels ? opts.tapPixels : 10; // Pixels a touch can move and still be a tap
+    this.rectZoomPixels = opts.rectZoomPixels ? opts.rectZoomPixels : 30; // Pixels to drag in both directions to zoom a box
     this.heightBuffer = opts.heightBuffer ? opts.heightBuffer : 20; // Pixels to buffer at the top of any default plot
     this.minTickPixels = opts.minTickPixels ? opts.minTickPixels : 40; // Minimum pixels between ticks 
+    this.showLegend = opts.legend ? opts.legend : false; // If a legend of the data is shown
+    this.showHover = opts.hover !== false; // If the values nearest the mouse are shown
+    this.xWindow = opts.xWindow ? opts.xWindow : null; // If set, only show the last xWindow x-units of the data
+    this.keyStep = opts.keyStep ? opts.keyStep : 0.1; // Fraction of the range the arrow and +/- keys pan or zoom by
+    var scale = opts.scale ? opts.scale : {}; // The scale of each axis, as {x, y, y2} of 'linear' or 'log' (the axis types can be set instead)
+    this.xAxisType = opts.xAxisType ? opts.xAxisType : (scale.x ? scale.x : 'linear'); // The type of x-axis, as 'linear', 'log' or 'time' (milliseconds since the epoch)
+    this.yAxisType = opts.yAxisType ? opts.yAxisType : (scale.y ? scale.y : 'linear'); // The type of left y-axis, as 'linear' or 'log'
+    this.y2AxisType = opts.y2AxisType ? opts.y2AxisType : (scale.y2 ? scale.y2 : 'linear'); // The type of right y-axis, as 'linear' or 'log'
+    this.xTickFormatter = this.makeFormatter(opts.xTickFormatter, opts.xUnit); // Formats the x-values, as function(value, step), or a name in DashGraph.formatters (null is the default)
+    this.yTickFormatter = this.makeFormatter(opts.yTickFormatter, opts.yUnit); // Formats the left y-values
+    this.y2TickFormatter = this.makeFormatter(opts.y2TickFormatter, opts.y2Unit); // Formats the right y-values
+    this.xLog = this.xAxisType === 'log';
+    this.yLog = this.yAxisType === 'log';
+    this.y2Log = this.y2AxisType === 'log';
+    this.utc = opts.timeZone === 'utc'; // If time is shown in UTC, rather than the local time zone (timeZone is 'utc' or 'local')
+    this.xTimeStep = null; // The step between the ticks of a time x-axis
     
     // Setup the colors
-    this.plotColors = ["#0000AA", "#00AA00", "#AA0000", "#AAAA00", "#AA00AA", "#00AAAA"];
+    this.plotColors = this.theme.palette;
     this.colorInd = 0;
     
     // Setup the data
     this.data = [];
+    this.annotations = [];
+    this.annotationHovered = null; // The annotation under the mouse, or null
     
     // Setup the zooming
     this.zoom = {};
@@ -208,6 +792,16 @@ DashGraph.Plot = function(node, opts) {
     this.zoom.xMax = null; // The x-axis max value. (null means plot-determined)
     this.zoom.yMin = null; // The y-axis min value. (null means plot-determined)
     this.zoom.yMax = null; // The y-axis max value. (null means plot-determined)
+    this.zoom.y2Min = null; // The right y-axis min value. (null means plot-determined)
+    this.zoom.y2Max = null; // The right y-axis max value. (null means plot-determined)
+    
+    // Setup the zoom history, which starts with the initial zoom
+    this.zoomHistory = [DashGraph.copyZoom(this.zoom)];
+    this.zoomHistoryInd = 0; // The index of the current zoom in the history
+    this.sync = null; // The DashGraph.Sync the plot is linked to, if any
+    
+    // Setup the event handlers, as lists by event name
+    this.handlers = {};
     
     // Set the other options
     this.opts = opts;
@@ -223,27 +817,52 @@ DashGraph.Plot = function(node, opts) {
  * plotting schemes
  */
 DashGraph.Plot.prototype.initialize = function() {
-    // Setup the plot div
-    this.node.style.width = this.width + "px";
-    this.node.style.height = this.height + "px";
+    // Remove the divs of an earlier initialize, so they are replaced rather
+    // than shown twice
+    if (this.innerNode !== null) {
+        this.detach();
+    }
+    
+    // Storage for other data, like the divs used for labels
+    this.labelDivs = [];
+    this.labelDivPointer = 0;
     
     // Setup the inner div, with position: relative, so all inner variables
     // can set their position to absolute within the div
-    this.innerNode = document.createElement("div");
-    this.innerNode.style.width = this.width + "px";
-    this.innerNode.style.height = this.height + "px";
+    this.innerNode = this.renderer.createElement("div");
     this.innerNode.style.position = "relative";
+    // Describe the plot to assistive technology, which can't see the canvases
+    this.innerNode.setAttribute("role", "figure");
     
-    // Add the innerNode to the node
-    this.node.appendChild(this.innerNode);
+    // Add the innerNode to the node.  Without a browser, there may not be one.
+    if (this.node) {
+        this.node.appendChild(this.innerNode);
+    }
     
-    // Setup the plot area
-    this.plotWidth = this.width - this.xLabelSize;
-    this.plotXStart = this.xLabelSize;
-    this.plotHeight = this.height - this.yLabelSize;
+    // Setup the plot area.  This is recalculated from the labels whenever
+    // the plot is rendered.
+    this.plotXStart = 0;
     this.plotYStart = 0;
     
+    // Setup the pointer (mouse, pen and touch) variables
+    this.pointers = {}; // The canvas position of each pointer that is down, by id
+    this.numPointers = 0; // The number of pointers that are down
+    this.pinching = false; // If two pointers are zooming the plot
+    this.pinchEnded = false; // If a pinch ended, and the remaining pointer should be ignored
+    this.longPressTimer = null; // Shows the values if a pointer is held still
+    this.longPressing = false; // If the values are being shown from a long press
+    this.lastTap = null; // The time and position of the last tap, to detect double-taps
+    this.hoverX = null; // The x-value the hover is showing, or null if it isn't shown
+    this.pixelRatioQuery = null; // The media query that detects the pixel ratio changing
+    this.pixelRatioListener = null;
+    this.resizeObserver = null; // Watches the size of the node, in fillContainer mode
+    this.windowResizeListener = null; // Watches the window instead, without ResizeObserver
+    
     // Setup zooming variables
+    this.panning = false; // If the plot is being dragged
+    this.renderPending = false; // If a render has been requested for the next frame
+    this.wheelTimer = null; // Records a wheel zoom once the wheel stops
+    this.summaryTimer = null; // Updates the summary once rendering settles
     this.zooming = false; // If a type of zooming is going on
     this.xZooming = false; // If the zoom is a xZoom
     this.yZooming = false; // If the zoom is a yZoom
@@ -253,93 +872,812 @@ DashGraph.Plot.prototype.initialize = function() {
     // axes, grid lines, and the plot of the data itself.
     this.canvas = this.createCanvas();
     this.canvas.style.position = "absolute";
-    this.canvas.width = this.width;
-    this.canvas.height = this.height;
-    this.canvas.style.width = this.width + "px";
-    this.canvas.style.height = this.height + "px";
-    this.ctx = this.canvas.getContext("2d");
     // Create the interactive portion of the plot, which will act as an
     // overlay to allow interactive zoom, and highlighting of points.
     this.overlay = this.createCanvas();
     this.overlay.style.position = "absolute";
-    this.overlay.width = this.width;
-    this.overlay.height = this.height;
-    this.overlay.style.width = this.width + "px";
-    this.overlay.style.height = this.height + "px";
-    this.ctxOverlay = this.overlay.getContext("2d");
+    this.pixelRatio = this.getPixelRatio();
+    if (this.fillContainer) {
+        this.readContainerSize();
+    }
+    this.applySize();
+    this.watchPixelRatio();
     
     // Add event handler for the overlay
     // Set that to this, so we can access it
     var that = this;
-    this.overlay.onmousedown = function (e) {
-        that.onmousedown(e);
+    if (typeof window !== 'undefined' && window.PointerEvent) {
+        // Pointer events handle the mouse, pen and touch the same way.  The
+        // browser's own touch gestures (scrolling, zooming) are disabled.
+        this.overlay.style.touchAction = "none";
+        this.overlay.onpointerdown = function (e) {
+            that.onpointerdown(e);
+        }
+        this.overlay.onpointerup = function (e) {
+            that.onpointerup(e);
+        }
+        this.overlay.onpointercancel = function (e) {
+            that.onpointerup(e);
+        }
+        this.overlay.onpointermove = function (e) {
+            that.onpointermove(e);
+        }
+        this.overlay.onpointerleave = function (e) {
+            // Touch pointers leave whenever they are lifted
+            if (e.pointerType === 'mouse') {
+                that.onmouseout(e);
+            }
+        }
+    } else {
+        this.overlay.onmousedown = function (e) {
+            that.onmousedown(e);
+        }
+        this.overlay.onmouseup = function (e) {
+            that.onmouseup(e);
+        }
+        this.overlay.onmousemove = function (e) {
+            that.onmousemove(e);
+        }
+        this.overlay.onmouseout = function (e) {
+            that.onmouseout(e);
+        }
     }
-    this.overlay.onmouseup = function (e) {
-        that.onmouseup(e);
+    this.overlay.ondblclick = function(e) {
+        that.ondblclick(e);
     }
-    this.overlay.onmousemove = function (e) {
-        that.onmousemove(e);
+    // Older browsers only support the mousewheel event
+    var onwheel = function(e) {
+        that.onwheel(e);
     }
-    this.overlay.onmouseout = function (e) {
-        that.onmouseout(e);
+    if ("onwheel" in this.overlay) {
+        this.overlay.onwheel = onwheel;
+    } else {
+        this.overlay.onmousewheel = onwheel;
     }
-    this.overlay.ondblclick = function(e) {
-        that.ondblclick(e);
+    
+    // The canvases are described by the summary instead
+    this.canvas.setAttribute("aria-hidden", "true");
+    this.overlay.setAttribute("aria-hidden", "true");
+    
+    // Make the plot focusable, so it can handle the keyboard
+    this.innerNode.tabIndex = 0;
+    this.innerNode.onkeydown = function(e) {
+        that.onkeydown(e);
     }
     
     // Add the canvases to the div
     this.innerNode.appendChild(this.canvas);
     this.innerNode.appendChild(this.overlay);
+    
+    // Create the titles
+    this.titleNode = this.createTitleDiv(true);
+    this.xLabelNode = this.createTitleDiv(false);
+    this.yLabelNode = this.createTitleDiv(false);
+    // Rotate the y-label to run along the axis
+    this.yLabelNode.style.transform = "rotate(-90deg)";
+    this.yLabelNode.style.webkitTransform = "rotate(-90deg)";
+    this.yLabelNode.style.msTransform = "rotate(-90deg)";
+    
+    // Create the legend, which is above the overlay so it can be clicked
+    this.legendNode = this.renderer.createElement("div");
+    this.legendNode.style.position = "absolute";
+    this.legendNode.style.lineHeight = "normal";
+    this.legendNode.style.padding = "2px 4px";
+    this.legendNode.style.display = "none";
+    this.innerNode.appendChild(this.legendNode);
+    
+    // Create the readout of the values nearest the mouse.  It ignores the
+    // mouse, so it never blocks the overlay.
+    this.readoutNode = this.renderer.createElement("div");
+    this.readoutNode.style.position = "absolute";
+    this.readoutNode.style.lineHeight = "normal";
+    this.readoutNode.style.padding = "2px 4px";
+    this.readoutNode.style.whiteSpace = "nowrap";
+    this.readoutNode.style.pointerEvents = "none";
+    this.readoutNode.style.display = "none";
+    this.innerNode.appendChild(this.readoutNode);
+    
+    // Create the summary of the data, and the region that announces zooms,
+    // which are only read by assistive technology
+    this.summaryNode = this.createHiddenDiv();
+    this.liveNode = this.createHiddenDiv();
+    this.liveNode.setAttribute("aria-live", "polite");
+    
+    this.applyTheme();
+    
+    if (this.fillContainer) {
+        this.watchContainer();
+    }
 }
 
 /**
- * Create a new canvas element.
+ * Changes the size of the plot, and renders it again with the same zoom.
+ * @param {Number} width The width of the entire plot, in pixels.
+ * @param {Number} height The height of the entire plot, in pixels.
  */
-DashGraph.Plot.prototype.createCanvas = function() {
-    var canvas = document.createElement("canvas");
-    return canvas;
+DashGraph.Plot.prototype.resize = function(width, height) {
+    if (width === this.width && height === this.height) {
+        return;
+    }
+    this.width = width;
+    this.height = height;
+    // The hover is placed for the old size
+    this.clearHover();
+    this.applySize();
+    this.render();
+    this.trigger('resize', {width: width, height: height});
 }
 
 /**
- * Adds a dataset 
+ * Sizes the divs and canvases to the width and height of the plot.  The plot
+ * area is sized when the plot is rendered.
  */
-DashGraph.Plot.prototype.addData = function(data) {
-    this.data.push(data);
+DashGraph.Plot.prototype.applySize = function() {
+    // In fillContainer mode, the page sizes the node instead
+    if (this.node && !this.fillContainer) {
+        this.node.style.width = this.width + "px";
+        this.node.style.height = this.height + "px";
+    }
+    this.innerNode.style.width = this.width + "px";
+    this.innerNode.style.height = this.height + "px";
+    this.plotWidth = this.width;
+    this.plotHeight = this.height;
+    this.sizeCanvases();
 }
 
 /**
- * Updates the plot with the latest data 
+ * Finds the size of the content of the node, inside its padding, which the
+ * plot fills in fillContainer mode.
+ * @return {Object} Returns the width and height, or null if the node has no
+ *     size.
  */
-DashGraph.Plot.prototype.update = function() {
-    this.render();
+DashGraph.Plot.prototype.getContainerSize = function() {
+    if (!this.node || !this.node.clientWidth || !this.node.clientHeight) {
+        return null;
+    }
+    var width = this.node.clientWidth;
+    var height = this.node.clientHeight;
+    if (typeof window !== 'undefined' && window.getComputedStyle) {
+        var style = window.getComputedStyle(this.node);
+        width -= (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+        height -= (parseFloat(style.paddingTop) || 0) + (parseFloat(style.paddingBottom) || 0);
+    }
+    if (width <= 0 || height <= 0) {
+        return null;
+    }
+    return {width: Math.floor(width), height: Math.floor(height)};
 }
 
 /**
- * Renders the data, with option arguments to specify the start and stop points
+ * Sets the width and height of the plot to the size of the node, if the node
+ * has a size.
  */
-DashGraph.Plot.prototype.render = function() {
-    // Preprocess the data
-    this.preprocess();
-    
-    // Prerender (clear, etc.)
-    this.prerender();
-  
-    // Draw the axes
-    this.renderAxes();
+DashGraph.Plot.prototype.readContainerSize = function() {
+    var size = this.getContainerSize();
+    if (size !== null) {
+        this.width = size.width;
+        this.height = size.height;
+    }
+}
+
+/**
+ * Resizes the plot to fit the node, if the node changed size.
+ */
+DashGraph.Plot.prototype.fitContainer = function() {
+    var size = this.getContainerSize();
+    if (size !== null) {
+        this.resize(size.width, size.height);
+    }
+}
+
+/**
+ * Watches the size of the node, to keep the plot filling it.  Without
+ * ResizeObserver, only resizes of the window are seen.
+ */
+DashGraph.Plot.prototype.watchContainer = function() {
+    var that = this;
+    if (!this.node || typeof window === 'undefined') {
+        return;
+    }
+    if (window.ResizeObserver) {
+        this.resizeObserver = new window.ResizeObserver(function() {
+            that.fitContainer();
+        });
+        this.resizeObserver.observe(this.node);
+    } else {
+        this.windowResizeListener = function() {
+            that.fitContainer();
+        }
+        window.addEventListener("resize", this.windowResizeListener);
+    }
+}
+
+/**
+ * Stops watching the size of the node.
+ */
+DashGraph.Plot.prototype.unwatchContainer = function() {
+    if (this.resizeObserver !== null) {
+        this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+    }
+    if (this.windowResizeListener !== null) {
+        window.removeEventListener("resize", this.windowResizeListener);
+        this.windowResizeListener = null;
+    }
+}
+
+/**
+ * Removes the plot from the page, and stops all of its handlers and timers.
+ * The plot can't be used afterwards.
+ */
+DashGraph.Plot.prototype.destroy = function() {
+    if (this.destroyed) {
+        return;
+    }
+    if (this.sync !== null) {
+        this.sync.remove(this);
+    }
+    this.detach();
+    this.handlers = {};
+    this.destroyed = true;
+}
+
+/**
+ * Removes the divs made by initialize from the node, and detaches their
+ * handlers.
+ */
+DashGraph.Plot.prototype.detach = function() {
+    var events = ["onpointerdown", "onpointerup", "onpointercancel", "onpointermove", "onpointerleave",
+        "onmousedown", "onmouseup", "onmousemove", "onmouseout", "ondblclick", "onwheel", "onmousewheel"];
+    this.cancelLongPress();
+    if (this.wheelTimer !== null) {
+        clearTimeout(this.wheelTimer);
+        this.wheelTimer = null;
+    }
+    if (this.summaryTimer !== null) {
+        clearTimeout(this.summaryTimer);
+        this.summaryTimer = null;
+    }
+    this.unwatchPixelRatio();
+    this.unwatchContainer();
+    for (var i = 0; i < events.length; i++) {
+        this.overlay[events[i]] = null;
+    }
+    this.innerNode.onkeydown = null;
+    if (this.innerNode.parentNode) {
+        this.innerNode.parentNode.removeChild(this.innerNode);
+    }
+    this.innerNode = null;
+}
+
+/**
+ * Sizes the canvases to the plot, with a canvas pixel for each pixel of the
+ * screen, so they are sharp on high resolution screens.  Drawing is scaled,
+ * so it is still done in CSS pixels.
+ */
+DashGraph.Plot.prototype.sizeCanvases = function() {
+    var canvases = [this.canvas, this.overlay];
+    var ratio = this.pixelRatio;
+    for (var i = 0; i < canvases.length; i++) {
+        canvases[i].width = Math.round(this.width * ratio);
+        canvases[i].height = Math.round(this.height * ratio);
+        canvases[i].style.width = this.width + "px";
+        canvases[i].style.height = this.height + "px";
+    }
+    this.ctx = this.canvas.getContext("2d");
+    this.ctxOverlay = this.overlay.getContext("2d");
+    // Sizing a canvas resets its transform
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this.ctxOverlay.setTransform(ratio, 0, 0, ratio, 0, 0);
+}
+
+/**
+ * Returns the number of canvas pixels for each CSS pixel, from the pixelRatio
+ * option or the renderer (1 if the renderer doesn't say).
+ */
+DashGraph.Plot.prototype.getPixelRatio = function() {
+    if (this.fixedPixelRatio !== null) {
+        return this.fixedPixelRatio;
+    }
+    return this.renderer.getPixelRatio ? this.renderer.getPixelRatio() : 1;
+}
+
+/**
+ * Watches for the pixel ratio of the screen changing, such as when the window
+ * moves to another monitor or the page is zoomed, to keep the plot sharp.
+ */
+DashGraph.Plot.prototype.watchPixelRatio = function() {
+    var that = this;
+    if (this.fixedPixelRatio !== null || typeof window === 'undefined' || !window.matchMedia) {
+        return;
+    }
+    // The query matches the current ratio, so it changes when the ratio does
+    this.pixelRatioQuery = window.matchMedia("(resolution: " + this.pixelRatio + "dppx)");
+    this.pixelRatioListener = function() {
+        that.unwatchPixelRatio();
+        that.updatePixelRatio();
+        that.watchPixelRatio();
+    }
+    if (this.pixelRatioQuery.addEventListener) {
+        this.pixelRatioQuery.addEventListener("change", this.pixelRatioListener);
+    } else {
+        // Older browsers
+        this.pixelRatioQuery.addListener(this.pixelRatioListener);
+    }
+}
+
+/**
+ * Stops watching for the pixel ratio of the screen changing.
+ */
+DashGraph.Plot.prototype.unwatchPixelRatio = function() {
+    if (this.pixelRatioQuery === null) {
+        return;
+    }
+    if (this.pixelRatioQuery.removeEventListener) {
+        this.pixelRatioQuery.removeEventListener("change", this.pixelRatioListener);
+    } else {
+        this.pixelRatioQuery.removeListener(this.pixelRatioListener);
+    }
+    this.pixelRatioQuery = null;
+    this.pixelRatioListener = null;
+}
+
+/**
+ * Resizes the canvases and renders the plot again if the pixel ratio changed.
+ */
+DashGraph.Plot.prototype.updatePixelRatio = function() {
+    var ratio = this.getPixelRatio();
+    if (ratio === this.pixelRatio) {
+        return;
+    }
+    this.pixelRatio = ratio;
+    this.sizeCanvases();
+    this.render();
+}
+
+/**
+ * Moves a position to the center of a line on the pixels of the screen, so a
+ * line drawn there is sharp.  Lines must be drawn with getHairlineWidth.
+ * @param {Number} pos The x or y canvas position.
+ * @return {Number} Returns the position of the center of the line.
+ */
+DashGraph.Plot.prototype.snapToPixel = function(pos) {
+    var ratio = this.pixelRatio;
+    // Lines an odd number of pixels wide are centered on a pixel, and even
+    // ones between two
+    var width = Math.max(Math.round(ratio), 1);
+    return (Math.floor(pos * ratio) + (width % 2) / 2) / ratio;
+}
+
+/**
+ * Returns the width of the thinnest sharp line, in CSS pixels.  This is a
+ * whole number of screen pixels, which is 1 unless the pixel ratio is
+ * fractional.
+ */
+DashGraph.Plot.prototype.getHairlineWidth = function() {
+    return Math.max(Math.round(this.pixelRatio), 1) / this.pixelRatio;
+}
+
+/**
+ * Changes the theme, and renders the plot with it.  Fonts set in the options
+ * of the plot are kept.
+ * @param {Object} theme The name of a theme in DashGraph.themes, or an object
+ *     of the options to change, as for the theme option.
+ */
+DashGraph.Plot.prototype.setTheme = function(theme) {
+    this.theme = DashGraph.makeTheme(theme);
+    this.fontSize = this.opts.fontSize ? this.opts.fontSize : this.theme.fontSize;
+    this.fontFamily = this.opts.fontFamily ? this.opts.fontFamily : this.theme.fontFamily;
+    this.titleFontSize = this.opts.titleFontSize ? this.opts.titleFontSize : this.theme.titleFontSize;
+    this.plotColors = this.theme.palette;
+    this.applyTheme();
+    this.render();
+}
+
+/**
+ * Styles the divs of the plot with the theme.  The canvases are styled as
+ * they are rendered.
+ */
+DashGraph.Plot.prototype.applyTheme = function() {
+    var theme = this.theme;
+    var i, node;
+    // The labels and titles inherit the text color
+    this.innerNode.style.color = theme.textColor !== null ? theme.textColor : "";
+    var panels = [this.legendNode, this.readoutNode];
+    for (i = 0; i < panels.length; i++) {
+        panels[i].style.background = theme.panelBackground;
+        panels[i].style.border = "1px solid " + theme.panelBorder;
+        panels[i].style.fontSize = this.fontSize + "px";
+        panels[i].style.fontFamily = this.fontFamily;
+    }
+    for (i = 0; i < this.labelDivs.length; i++) {
+        node = this.labelDivs[i];
+        node.style.fontSize = this.fontSize + "px";
+        node.style.fontFamily = this.fontFamily;
+        node.style.lineHeight = this.getLineHeight(this.fontSize) + "px";
+    }
+    var titles = [this.titleNode, this.xLabelNode, this.yLabelNode];
+    for (i = 0; i < titles.length; i++) {
+        titles[i].style.fontFamily = this.fontFamily;
+        titles[i].style.fontSize = (titles[i] === this.titleNode ? this.titleFontSize : this.fontSize) + "px";
+    }
+}
+
+/**
+ * Creates a div that is hidden on screen, but is still read by assistive
+ * technology.
+ * @return {Element} Returns the div, which has been added to the plot.
+ */
+DashGraph.Plot.prototype.createHiddenDiv = function() {
+    var val = this.renderer.createElement("div");
+    val.style.position = "absolute";
+    val.style.width = "1px";
+    val.style.height = "1px";
+    val.style.overflow = "hidden";
+    val.style.clip = "rect(0 0 0 0)";
+    val.style.whiteSpace = "nowrap";
+    this.innerNode.appendChild(val);
+    return val;
+}
+
+/**
+ * Creates a div for a title, which is hidden until it has text.
+ * @param {bool} isTitle True for the plot title, false for an axis title.
+ * @return {Element} Returns the div, which has been added to the plot.
+ */
+DashGraph.Plot.prototype.createTitleDiv = function(isTitle) {
+    var val = this.renderer.createElement("div");
+    val.style.position = "absolute";
+    val.style.fontFamily = this.fontFamily;
+    val.style.fontSize = (isTitle ? this.titleFontSize : this.fontSize) + "px";
+    val.style.fontWeight = isTitle ? "bold" : "normal";
+    val.style.lineHeight = this.getLineHeight(isTitle ? this.titleFontSize : this.fontSize) + "px";
+    val.style.textAlign = "center";
+    val.style.whiteSpace = "nowrap";
+    val.style.display = "none";
+    this.innerNode.appendChild(val);
+    return val;
+}
+
+/**
+ * Create a new canvas element, from the renderer.
+ */
+DashGraph.Plot.prototype.createCanvas = function() {
+    return this.renderer.createCanvas();
+}
+
+/**
+ * Adds a dataset 
+ */
+DashGraph.Plot.prototype.addData = function(data) {
+    this.data.push(data);
+}
+
+/**
+ * Adds an annotation.  The plot must be rendered again for it to show.
+ * @param {DashGraph.Annotation} annotation The annotation to add.
+ */
+DashGraph.Plot.prototype.addAnnotation = function(annotation) {
+    this.annotations.push(annotation);
+}
+
+/**
+ * Removes an annotation.  The plot must be rendered again for it to be
+ * removed from the plot.
+ * @param {DashGraph.Annotation} annotation The annotation to remove.
+ */
+DashGraph.Plot.prototype.removeAnnotation = function(annotation) {
+    var ind = this.annotations.indexOf(annotation);
+    if (ind !== -1) {
+        this.annotations.splice(ind, 1);
+    }
+    if (this.annotationHovered === annotation) {
+        this.setAnnotationHovered(null);
+    }
+}
+
+/**
+ * Updates the plot with the latest data 
+ */
+DashGraph.Plot.prototype.update = function() {
+    this.render();
+}
+
+/**
+ * Adds a handler for an event.  The events are:
+ *   zoom: Before a zoom is applied, with zoom (the new ranges, which can be
+ *       changed) and source ('user', 'api' or 'sync').
+ *   render: After rendering, with time (the milliseconds it took).
+ *   resize: After the plot is resized, with width and height.
+ *   click: A click on the plot, with x, y and y2 (the values clicked), and
+ *       points (the nearest point in each dataset, from getPointValues).
+ *   hover: When the hover moves to another x, with x (null once the hover is
+ *       hidden) and points.
+ *   annotationclick: A click on an annotation, with annotation.
+ *   annotationhover: When the mouse moves onto an annotation, with
+ *       annotation (null once the mouse moves off of it).
+ * Returning false from a handler, or setting the cancel field of the event,
+ * cancels the zoom event.  Panning by dragging, the mouse wheel, pinching and
+ * the arrow and +/- keys show the new ranges as they change, so their zoom
+ * event comes once they stop (for each key press).  Changes to its zoom are
+ * applied then, and cancelling it returns to the zoom before.
+ * @param {String} name The name of the event.
+ * @param {Function} handler Called with the event.
+ */
+DashGraph.Plot.prototype.on = function(name, handler) {
+    if (!this.handlers.hasOwnProperty(name)) {
+        this.handlers[name] = [];
+    }
+    this.handlers[name].push(handler);
+}
+
+/**
+ * Removes a handler for an event.
+ * @param {String} name The name of the event.
+ * @param {Function} handler The handler added with on.  If left out, all the
+ *     handlers of the event are removed.
+ */
+DashGraph.Plot.prototype.off = function(name, handler) {
+    if (!this.handlers.hasOwnProperty(name)) {
+        return;
+    }
+    if (handler === undefined) {
+        delete this.handlers[name];
+        return;
+    }
+    var ind = this.handlers[name].indexOf(handler);
+    if (ind !== -1) {
+        this.handlers[name].splice(ind, 1);
+    }
+}
+
+/**
+ * Calls the handlers of an event.
+ * @param {String} name The name of the event.
+ * @param {Object} evt The event, which is given type, plot and cancel fields.
+ * @return {Object} Returns the event, after the handlers have seen it.
+ */
+DashGraph.Plot.prototype.trigger = function(name, evt) {
+    evt.type = name;
+    evt.plot = this;
+    evt.cancel = false;
+    if (!this.handlers.hasOwnProperty(name)) {
+        return evt;
+    }
+    // Copy the handlers, so they can remove themselves
+    var handlers = this.handlers[name].slice();
+    for (var i = 0; i < handlers.length; i++) {
+        if (handlers[i](evt) === false) {
+            evt.cancel = true;
+        }
+    }
+    return evt;
+}
+
+/**
+ * Exports the plot as a PNG image, as it is currently shown (without the
+ * hover or a zoom in progress).  Unlike the canvas, the image includes the
+ * labels, titles and legend.
+ * @param {Object} opts The options, with scale (default 1) to multiply the
+ *     size of the image by, for a sharper image.
+ * @return {String} Returns the image as a data URL.
+ */
+DashGraph.Plot.prototype.toPNG = function(opts) {
+    if (opts === undefined) {
+        opts = {};
+    }
+    var scale = opts.scale ? opts.scale : 1;
+    var canvas = this.createCanvas();
+    canvas.width = Math.round(this.width * scale);
+    canvas.height = Math.round(this.height * scale);
+    if (!canvas.toDataURL) {
+        throw new Error("DashGraph.Plot: PNG export needs a canvas, use toSVG instead");
+    }
+    var ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    this.renderExport(ctx, scale);
+    return canvas.toDataURL("image/png");
+}
+
+/**
+ * Exports the plot as an SVG image, as it is currently shown.  The image is
+ * self-contained, and includes the labels, titles and legend.
+ * @return {String} Returns the SVG document.
+ */
+DashGraph.Plot.prototype.toSVG = function() {
+    var ctx = new DashGraph.SVGContext(this.width, this.height, this.ctx);
+    this.renderExport(ctx, 1);
+    return ctx.toString();
+}
+
+/**
+ * Renders the plot to another context, along with the text that is normally
+ * shown in divs.
+ * @param {Object} ctx A canvas context, or a DashGraph.SVGContext.
+ * @param {Number} ratio The number of image pixels for each CSS pixel.
+ */
+DashGraph.Plot.prototype.renderExport = function(ctx, ratio) {
+    var screenCtx = this.ctx;
+    var screenRatio = this.pixelRatio;
+    this.ctx = ctx;
+    this.pixelRatio = ratio;
+    try {
+        // Only the canvas is drawn, so the divs on the page, the summary and
+        // the render event are left alone
+        this.preprocess();
+        this.renderCanvas();
+        this.renderText();
+    } finally {
+        this.ctx = screenCtx;
+        this.pixelRatio = screenRatio;
+    }
+}
+
+/**
+ * Draws the text of the labels, titles and legend to the context.  These are
+ * divs on the page, so this is only needed for exports.
+ */
+DashGraph.Plot.prototype.renderText = function() {
+    var i, node, left, height;
+    var ctx = this.ctx;
+    ctx.save();
+    ctx.fillStyle = this.theme.textColor !== null ? this.theme.textColor : "#000000";
+    ctx.textBaseline = "middle";
+    
+    // The tick labels are aligned within their divs
+    ctx.font = this.fontSize + "px " + this.fontFamily;
+    for (i = 0; i < this.labelDivPointer; i++) {
+        node = this.labelDivs[i];
+        left = parseFloat(node.style.left);
+        ctx.textAlign = node.style.textAlign;
+        if (node.style.textAlign === "center") {
+            left += parseFloat(node.style.width) / 2;
+        } else if (node.style.textAlign === "right") {
+            left += parseFloat(node.style.width);
+        }
+        ctx.fillText(node.textContent, left, parseFloat(node.style.top) + this.getLineHeight(this.fontSize) / 2);
+    }
+    
+    // The titles are centered in their divs, and the y-label is rotated
+    var titles = [this.titleNode, this.xLabelNode, this.yLabelNode];
+    ctx.textAlign = "center";
+    for (i = 0; i < titles.length; i++) {
+        node = titles[i];
+        if (node.style.display === "none") {
+            continue;
+        }
+        ctx.font = node.style.fontWeight + " " + node.style.fontSize + " " + this.fontFamily;
+        height = parseInt(node.style.lineHeight, 10);
+        ctx.save();
+        ctx.translate(parseFloat(node.style.left) + parseFloat(node.style.width) / 2,
+            parseFloat(node.style.top) + height / 2);
+        if (node === this.yLabelNode) {
+            ctx.rotate(-Math.PI / 2);
+        }
+        ctx.fillText(node.textContent, 0, 0);
+        ctx.restore();
+    }
+    ctx.restore();
+    
+    if (this.showLegend) {
+        this.renderLegendText();
+    }
+}
+
+/**
+ * Draws the legend to the context, in the same place and style as the legend
+ * div.
+ */
+DashGraph.Plot.prototype.renderLegendText = function() {
+    var i, n, entry, x, y, swatchWidth;
+    var ctx = this.ctx;
+    var entries = this.getLegendEntries();
+    var fontSize = this.fontSize;
+    var lineHeight = this.getLineHeight(fontSize);
+    if (entries.length === 0) {
+        return;
+    }
+    
+    // Size the panel to the widest entry
+    ctx.save();
+    ctx.font = fontSize + "px " + this.fontFamily;
+    var width = 0;
+    for (i = 0; i < entries.length; i++) {
+        entry = entries[i];
+        swatchWidth = entry.colors.length > 1 ? 6 * entry.colors.length : 16;
+        width = Math.max(width, swatchWidth + 4 + ctx.measureText(entry.name).width);
+    }
+    width = Math.ceil(width) + 8;
+    var height = entries.length * lineHeight + 4;
+    var right = this.plotXStart + this.plotWidth - 4;
+    var top = this.plotYStart + 4;
+    
+    ctx.fillStyle = this.theme.panelBackground;
+    ctx.fillRect(right - width, top, width, height);
+    ctx.strokeStyle = this.theme.panelBorder;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(right - width - .5, top - .5, width + 1, height + 1);
+    
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    for (i = 0; i < entries.length; i++) {
+        entry = entries[i];
+        ctx.globalAlpha = entry.visible ? 1 : .4;
+        x = right - width + 4;
+        y = top + 2 + i * lineHeight + lineHeight / 2;
+        for (n = 0; n < entry.colors.length; n++) {
+            swatchWidth = entry.colors.length > 1 ? 6 : 16;
+            ctx.fillStyle = entry.colors[n];
+            ctx.fillRect(x, Math.round(y) - 1.5, swatchWidth, 3);
+            x += swatchWidth;
+        }
+        ctx.fillStyle = this.theme.textColor !== null ? this.theme.textColor : "#000000";
+        ctx.fillText(entry.name, x + 4, y);
+    }
+    ctx.restore();
+}
+
+/**
+ * Renders the data, with option arguments to specify the start and stop points
+ */
+DashGraph.Plot.prototype.render = function() {
+    var start = new Date().getTime();
+    
+    // Preprocess the data
+    this.preprocess();
+    
+    // Clear the overlay and the labels
+    this.clearOverlay();
+    this.clearLabels();
+    
+    // Draw the axes and the data
+    this.renderCanvas();
   
     // Add the labels
     this.renderLabels();
+    
+    // Add the legend
+    if (this.showLegend) {
+        this.renderLegend();
+    }
+    
+    // Describe what is shown, once the frames of a drag or wheel zoom stop
+    this.requestSummary();
+    
+    this.trigger('render', {time: new Date().getTime() - start});
+}
+
+/**
+ * Draws the plot to the canvas: the axes, the data and the annotations.  The
+ * data must have been preprocessed.
+ */
+DashGraph.Plot.prototype.renderCanvas = function() {
+    // Prerender (clear, etc.)
+    this.prerender();
   
-    // Plot the data 
+    // Draw the axes
+    this.renderAxes();
+  
+    // Plot the data, between the shaded regions and the other annotations
+    this.renderAnnotations('below');
     this.renderData();  
+    this.renderAnnotations('above');
 }
 
 /**
  * Preprocesses the data to determine data for later plotting
  */
 DashGraph.Plot.prototype.preprocess = function() {
-    var val, i, data, startInd, stopInd; // Used as a temporary variable
-    var yPixMin, yPixMax, yLimits; // Used to store the min and max y value for the plot
+    var val, i, data; // Used as a temporary variable
+    
+    // Reserve space for the right y-axis labels if any data uses it
+    this.hasY2 = false;
+    for (i = 0; i < this.data.length; i++) {
+        if (this.data[i].axis === 'right') {
+            this.hasY2 = true;
+        }
+    }
+    
     // Determine the maximum and minimum x data.
     // For now, assume it is in order (so the first and last)
     
@@ -356,23 +1694,50 @@ DashGraph.Plot.prototype.preprocess = function() {
     var xMin, xMax, yMin, yMax;
     
     if (this.zoom.xMin === null) {
-        data = this.data[0];
-        // Reset the start and stop inds
-        data.resetBounds();
-        startInd = data.startInd;
-        stopInd = data.stopInd;
-        // Set the xMin and xMax to the first and last data points
-        xMin = data.x[data.startInd];
-        xMax = data.x[data.stopInd];
-        // Iterate over remaining data
-        for (i = 1; i < this.data.length; i++) {
+        // Iterate over the data, setting the xMin and xMax to the first and
+        // last data points
+        for (i = 0; i < this.data.length; i++) {
             data = this.data[i];
+            // Reset the start and stop inds
             data.resetBounds();
-            if (xMin > data.x[data.startInd]) {
-                xMin = data.x[this.startInd];
+            if (data.x.length === 0) {
+                continue;
+            }
+            if (xMin === undefined || xMin > data.x[data.startInd]) {
+                xMin = data.x[data.startInd];
+            }
+            if (xMax === undefined || xMax < data.x[data.stopInd]) {
+                xMax = data.x[data.stopInd];
+            }
+        }
+        if (xMin === undefined) {
+            // There is no data, so use an arbitrary range
+            xMin = this.xLog ? 1 : 0;
+            xMax = this.xLog ? 10 : 1;
+        }
+        // Follow the latest data if there is a window
+        if (this.xWindow !== null) {
+            xMin = xMax - this.xWindow;
+            for (i = 0; i < this.data.length; i++) {
+                this.data[i].setBounds(xMin, xMax);
+            }
+        }
+        // A log axis starts at the first positive value
+        if (this.xLog && xMin <= 0) {
+            xMin = this.getMinPositiveX();
+            if (xMin === null || xMin >= xMax) {
+                xMin = xMax > 0 ? xMax / 10 : 1;
+                xMax = xMax > 0 ? xMax : 10;
             }
-            if (xMax < data.x[data.stopInd]) {
-                xMax = data.x[this.stopInd];
+        }
+        // Give a single point some width
+        if (xMin === xMax) {
+            if (this.xLog) {
+                xMin /= Math.sqrt(10);
+                xMax *= Math.sqrt(10);
+            } else {
+                xMin -= .5;
+                xMax += .5;
             }
         }
     } else {
@@ -385,36 +1750,341 @@ DashGraph.Plot.prototype.preprocess = function() {
         }
     }
     
+    // Store the range being plotted
+    this.xMin = xMin;
+    this.xMax = xMax;
+    
+    // Store the extents of all the data, which limit panning and zooming
+    this.dataXMin = null;
+    this.dataXMax = null;
+    for (i = 0; i < this.data.length; i++) {
+        data = this.data[i];
+        if (data.x.length === 0) {
+            continue;
+        }
+        if (this.dataXMin === null || this.dataXMin > data.x[0]) {
+            this.dataXMin = data.x[0];
+        }
+        if (this.dataXMax === null || this.dataXMax < data.x[data.x.length-1]) {
+            this.dataXMax = data.x[data.x.length-1];
+        }
+    }
+    if (this.xLog && this.dataXMin !== null && this.dataXMin <= 0) {
+        this.dataXMin = this.getMinPositiveX();
+    }
+    
+    // Layout the height of the plot, which is needed to scale the y-axes
+    this.layoutHeight();
+    
+    // Determine the scale of each y-axis
+    this.scaleYAxis('left');
+    if (this.hasY2) {
+        this.scaleYAxis('right');
+    }
+    
+    // Layout the width of the plot, which depends on the y-axis labels
+    this.layoutWidth();
+    
     // TODO: If xMax and xMin become too close together, the plot gets quite
     //       screwed up.  This should be fixed.
     // Set the xScale to scale the values by to convert to pixel position
-    this.xScale = this.plotWidth/(xMax - xMin);
+    // The scale and bias are of the log of the values on a log axis.
+    this.xScale = this.plotWidth/(this.toAxisScale(xMax, 'x') - this.toAxisScale(xMin, 'x'));
     // Set the xBias for the pixels added to each value.
-    this.xBias = this.plotXStart - this.xScale*xMin; 
+    this.xBias = this.plotXStart - this.xScale*this.toAxisScale(xMin, 'x'); 
     
     // Determine the tick spacing for the x data.
-    this.xTicks = this.getTicks(xMin, xMax, this.plotWidth);
-    
-    // Determine the maximum and minimum y data.
-    // If there is a specified yMin and yMax, use those.
-    if (this.zoom.yMin !== null) {
-        // Set the yScale to scale the values by to convert to pixel position
-        // The yScale will be negative, since larger values will be higher (which is
-        // fewer pixels from the top).  This is done by inverting yMin and yMax
-        this.yScale = (this.plotHeight)/(this.zoom.yMin - this.zoom.yMax);
-        // Set the yBias for the pixels added to each value.
-        this.yBias = this.plotHeight/2 - this.yScale * (this.zoom.yMax+this.zoom.yMin)*.5; 
-        // Determine the tick spacing for the y data.
-        yPixMin = this.getYPixelPos(this.getYCanvasPos(this.zoom.yMin));
-        yPixMax = this.getYPixelPos(this.getYCanvasPos(this.zoom.yMax));
+    this.xMinorTicks = [];
+    if (this.xAxisType === 'time') {
+        this.xTicks = this.getTimeTicks(xMin, xMax, this.plotWidth);
+    } else if (this.xLog) {
+        this.xTicks = this.getLogTicks(xMin, xMax, this.plotWidth);
+        this.xMinorTicks = this.getLogMinorTicks(xMin, xMax, this.plotWidth);
     } else {
-        for (i = 0; i < this.data.length; i++) {
-            data = this.data[i];
-            yLimits = data.getYBounds();
-            if (yMin === undefined) {
-                yMin = yLimits[0];
-                yMax = yLimits[1];
-            } else {
+        this.xTicks = this.getTicks(xMin, xMax, this.plotWidth);
+    }
+}
+
+/**
+ * Finds the smallest x-value above zero in the data, where a log x-axis
+ * starts.
+ * @return {Number} Returns the value, or null if there are none.
+ */
+DashGraph.Plot.prototype.getMinPositiveX = function() {
+    var xMin = null;
+    var i, ind, x;
+    for (i = 0; i < this.data.length; i++) {
+        x = this.data[i].x;
+        if (x.length === 0 || x[x.length-1] <= 0) {
+            continue;
+        }
+        ind = x[0] > 0 ? 0 : DashGraph.binarySearch(x, 0, true);
+        if (xMin === null || x[ind] < xMin) {
+            xMin = x[ind];
+        }
+    }
+    return xMin;
+}
+
+/**
+ * Returns if an axis is logarithmic.
+ * @param {String} axis The axis, as 'x', 'left' or 'right'.
+ */
+DashGraph.Plot.prototype.isLogAxis = function(axis) {
+    if (axis === 'x') {
+        return this.xLog;
+    } else if (axis === 'right') {
+        return this.y2Log;
+    }
+    return this.yLog;
+}
+
+/**
+ * Converts a value to the scale of an axis, which is the log of the value on
+ * a log axis.  Values at or below zero are converted to a very large negative
+ * number, so they are drawn far off the bottom (or left) of the plot, and
+ * lines to them are clipped at the edge.
+ * @param {Number} val The value.
+ * @param {String} axis The axis, as 'x', 'left' or 'right'.
+ * @return {Number} Returns the value in the scale of the axis.
+ */
+DashGraph.Plot.prototype.toAxisScale = function(val, axis) {
+    return this.isLogAxis(axis) ? DashGraph.log10(val) : val;
+}
+
+/**
+ * Converts a value in the scale of an axis back to a value, undoing
+ * toAxisScale.
+ * @param {Number} val The value in the scale of the axis.
+ * @param {String} axis The axis, as 'x', 'left' or 'right'.
+ * @return {Number} Returns the value.
+ */
+DashGraph.Plot.prototype.fromAxisScale = function(val, axis) {
+    return this.isLogAxis(axis) ? Math.pow(10, val) : val;
+}
+
+/**
+ * Determines the top and height of the plot area, leaving room for the title
+ * above and the x-axis labels below.
+ */
+DashGraph.Plot.prototype.layoutHeight = function() {
+    var lineHeight = this.getLineHeight(this.fontSize);
+    var bottom;
+    
+    // Leave room for the title, or for half of the top y-label
+    if (this.title !== null) {
+        this.plotYStart = this.getLineHeight(this.titleFontSize) + this.labelPadding;
+    } else {
+        this.plotYStart = Math.ceil(lineHeight/2);
+    }
+    
+    // Leave room for the x-axis labels and title
+    if (this.yLabelSize !== null) {
+        bottom = this.yLabelSize;
+    } else {
+        bottom = lineHeight + this.labelPadding;
+        if (this.xLabel !== null) {
+            bottom += lineHeight + this.labelPadding;
+        }
+    }
+    this.plotHeight = this.height - this.plotYStart - bottom;
+}
+
+/**
+ * Determines the left and width of the plot area, leaving room for the
+ * widest y-axis labels on each side.  The y-axes must already be scaled.
+ */
+DashGraph.Plot.prototype.layoutWidth = function() {
+    var left, right;
+    
+    // Leave room for the y-axis labels and title
+    if (this.xLabelSize !== null) {
+        left = this.xLabelSize;
+    } else {
+        left = this.getMaxLabelWidth(this.yTicks, 'left') + 2 * this.labelPadding;
+        if (this.yLabel !== null) {
+            left += this.getLineHeight(this.fontSize) + this.labelPadding;
+        }
+    }
+    
+    // Leave room for the right y-axis labels, if they exist
+    right = 0;
+    if (this.hasY2) {
+        if (this.y2LabelSize !== null) {
+            right = this.y2LabelSize;
+        } else {
+            right = this.getMaxLabelWidth(this.y2Ticks, 'right') + 2 * this.labelPadding;
+        }
+    }
+    
+    this.plotXStart = left;
+    this.plotWidth = this.width - left - right;
+}
+
+/**
+ * Measures the width of the widest label for a list of ticks.
+ * @param {Array} ticks The ticks to measure the labels of.
+ * @param {String} axis The axis of the ticks, as 'x', 'left' or 'right'.
+ * @return {Number} Returns the width in pixels.
+ */
+DashGraph.Plot.prototype.getMaxLabelWidth = function(ticks, axis) {
+    var width = 0;
+    this.ctx.font = this.fontSize + "px " + this.fontFamily;
+    for (var i = 0; i < ticks.length; i++) {
+        width = Math.max(width, this.ctx.measureText(this.formatTick(ticks[i], axis)).width);
+    }
+    return Math.ceil(width);
+}
+
+/**
+ * Returns the height of a line of text for a font size.
+ * @param {Number} fontSize The font size in pixels.
+ */
+DashGraph.Plot.prototype.getLineHeight = function(fontSize) {
+    return Math.ceil(fontSize * 1.2);
+}
+
+/**
+ * Formats the value of a tick for its label.
+ * @param {Number} val The value of the tick.
+ * @param {String} axis The axis of the tick, as 'x', 'left' or 'right'.
+ * @return {String} Returns the label text.
+ */
+DashGraph.Plot.prototype.formatTick = function(val, axis) {
+    return this.formatAxisValue(val, axis, this.getTickStep(axis));
+}
+
+/**
+ * Formats a value for the readout and the summary, where it is shown without
+ * the ticks around it.
+ * @param {Number} val The value.
+ * @param {String} axis The axis of the value, as 'x', 'left' or 'right'.
+ * @return {String} Returns the text.
+ */
+DashGraph.Plot.prototype.formatValue = function(val, axis) {
+    return this.formatAxisValue(val, axis, null);
+}
+
+/**
+ * Formats a value with the formatter of its axis, or the default for the
+ * type of axis if it has none.
+ * @param {Number} val The value.
+ * @param {String} axis The axis of the value, as 'x', 'left' or 'right'.
+ * @param {Number} step The step between the ticks, or null if the value isn't
+ *     a tick.
+ * @return {String} Returns the text.
+ */
+DashGraph.Plot.prototype.formatAxisValue = function(val, axis, step) {
+    var formatter = this.yTickFormatter;
+    if (axis === 'x') {
+        formatter = this.xTickFormatter;
+    } else if (axis === 'right') {
+        formatter = this.y2TickFormatter;
+    }
+    if (formatter !== null) {
+        return formatter(val, step);
+    }
+    if (axis === 'x' && this.xAxisType === 'time' && this.xTimeStep !== null) {
+        return DashGraph.formatTime(val, this.xTimeStep.unit, this.utc, step !== null);
+    }
+    if (this.isLogAxis(axis)) {
+        // Log axes span many decades, so round to significant digits
+        return String(Number(val.toPrecision(step !== null ? 3 : 4)));
+    }
+    return DashGraph.formatters.auto()(val, step);
+}
+
+/**
+ * Returns the step between the ticks of an axis.  The ticks of time and log
+ * axes aren't evenly spaced, so it is the approximate step of a time axis in
+ * milliseconds, and the step between the first ticks of a log axis.
+ * @param {String} axis The axis, as 'x', 'left' or 'right'.
+ * @return {Number} Returns the step, or null if there is only one tick.
+ */
+DashGraph.Plot.prototype.getTickStep = function(axis) {
+    var ticks = this.yTicks;
+    if (axis === 'x') {
+        ticks = this.xTicks;
+        if (this.xAxisType === 'time' && this.xTimeStep !== null &&
+                (this.xTimeStep.unit !== 'millisecond' || ticks === undefined || ticks.length < 2)) {
+            return this.xTimeStep.ms;
+        }
+    } else if (axis === 'right') {
+        ticks = this.y2Ticks;
+    }
+    if (ticks === undefined || ticks.length < 2) {
+        return null;
+    }
+    return ticks[1] - ticks[0];
+}
+
+/**
+ * Makes the formatter of an axis from its options.
+ * @param {Object} formatter A function of the value and the step between the
+ *     ticks, the name of a formatter in DashGraph.formatters, or undefined.
+ * @param {String} unit The unit of the axis, if any.
+ * @return {Function} Returns the formatter, or null for the default.
+ */
+DashGraph.Plot.prototype.makeFormatter = function(formatter, unit) {
+    if (typeof formatter === 'function') {
+        return formatter;
+    } else if (typeof formatter === 'string') {
+        if (!DashGraph.formatters.hasOwnProperty(formatter)) {
+            throw new Error("DashGraph.Plot: unknown tick formatter " + formatter);
+        }
+        return DashGraph.formatters[formatter](unit);
+    } else if (unit) {
+        return DashGraph.formatters.auto(unit);
+    }
+    return null;
+}
+
+/**
+ * Determines the scale, bias and ticks of a y-axis, from the zoom if there is
+ * one, or from the data plotted on the axis otherwise.
+ * @param {String} axis The axis to scale, as 'left' or 'right'.
+ */
+DashGraph.Plot.prototype.scaleYAxis = function(axis) {
+    var i, data, yLimits, yScale, yBias;
+    var yPixMin, yPixMax; // Used to store the min and max y value for the plot
+    var yMin, yMax;
+    var isLog = this.isLogAxis(axis);
+    var zoomMin = axis === 'right' ? this.zoom.y2Min : this.zoom.yMin;
+    var zoomMax = axis === 'right' ? this.zoom.y2Max : this.zoom.yMax;
+    
+    // Determine the maximum and minimum y data.
+    // If there is a specified yMin and yMax, use those.
+    // The scale and bias are of the log of the values on a log axis.
+    if (zoomMin !== null) {
+        // Set the yScale to scale the values by to convert to pixel position
+        // The yScale will be negative, since larger values will be higher (which is
+        // fewer pixels from the top).  This is done by inverting yMin and yMax
+        yMin = this.toAxisScale(zoomMin, axis);
+        yMax = this.toAxisScale(zoomMax, axis);
+        yScale = (this.plotHeight)/(yMin - yMax);
+        // Set the yBias for the pixels added to each value.
+        yBias = this.plotYStart + this.plotHeight/2 - yScale * (yMax+yMin)*.5; 
+        yPixMin = zoomMin;
+        yPixMax = zoomMax;
+    } else {
+        // Values at or below zero can't be shown on a log axis, so are left
+        // out of the range
+        for (i = 0; i < this.data.length; i++) {
+            data = this.data[i];
+            if (data.x.length === 0 || data.axis !== axis) {
+                continue;
+            }
+            yLimits = data.getYBounds();
+            if (yLimits !== null && isLog && yLimits[0] <= 0) {
+                yLimits = data.getYBounds(true);
+            }
+            if (yLimits === null) {
+                continue;
+            }
+            if (yMin === undefined) {
+                yMin = yLimits[0];
+                yMax = yLimits[1];
+            } else {
                 if (yMin > yLimits[0]) {
                     yMin = yLimits[0];
                 }
@@ -423,20 +2093,60 @@ DashGraph.Plot.prototype.preprocess = function() {
                 }
             }        
         }    
+        if (yMin === undefined) {
+            // There is no data, so use an arbitrary range
+            yMin = isLog ? 1 : 0;
+            yMax = isLog ? 10 : 1;
+        } else if (yMin === yMax) {
+            // Give a flat line some height
+            if (isLog) {
+                yMin /= Math.sqrt(10);
+                yMax *= Math.sqrt(10);
+            } else {
+                yMin -= .5;
+                yMax += .5;
+            }
+        }
+        yMin = this.toAxisScale(yMin, axis);
+        yMax = this.toAxisScale(yMax, axis);
     
         // Set the yScale to scale the values by to convert to pixel position
         // The yScale will be negative, since larger values will be higher (which is
         // fewer pixels from the top).  This is done by inverting yMin and yMax
-        this.yScale = (this.plotHeight - (2 * this.heightBuffer))/(yMin - yMax);
+        yScale = (this.plotHeight - (2 * this.heightBuffer))/(yMin - yMax);
         // Set the yBias for the pixels added to each value.
-        this.yBias = this.plotHeight/2 - this.yScale * (yMax+yMin)*.5; 
-        // Determine the tick spacing for the y data.
-        // Fix this to use yMin and yMax from the actual plot area 
-        yPixMin = this.getYPixelPos(this.getYCanvasPos(yMin) + this.heightBuffer);
-        yPixMax = this.getYPixelPos(this.getYCanvasPos(yMax) - this.heightBuffer);
+        yBias = this.plotYStart + this.plotHeight/2 - yScale * (yMax+yMin)*.5; 
+        // The plotted range includes the buffer at the top and bottom
+        yPixMin = this.fromAxisScale(yMin + this.heightBuffer/yScale, axis);
+        yPixMax = this.fromAxisScale(yMax - this.heightBuffer/yScale, axis);
+        
+        // Store the extents of the data, which limit panning
+        if (axis === 'right') {
+            this.y2DataMin = yPixMin;
+            this.y2DataMax = yPixMax;
+        } else {
+            this.yDataMin = yPixMin;
+            this.yDataMax = yPixMax;
+        }
     }
     
-    this.yTicks = this.getTicks(yPixMin, yPixMax, this.plotHeight);
+    // Store the scale and range of the axis
+    var ticks = isLog ? this.getLogTicks(yPixMin, yPixMax, this.plotHeight) :
+        this.getTicks(yPixMin, yPixMax, this.plotHeight);
+    if (axis === 'right') {
+        this.y2Scale = yScale;
+        this.y2Bias = yBias;
+        this.y2Min = yPixMin;
+        this.y2Max = yPixMax;
+        this.y2Ticks = ticks;
+    } else {
+        this.yScale = yScale;
+        this.yBias = yBias;
+        this.yMin = yPixMin;
+        this.yMax = yPixMax;
+        this.yTicks = ticks;
+        this.yMinorTicks = isLog ? this.getLogMinorTicks(yPixMin, yPixMax, this.plotHeight) : [];
+    }
 }
 
 /**
@@ -445,12 +2155,10 @@ DashGraph.Plot.prototype.preprocess = function() {
 DashGraph.Plot.prototype.prerender = function() {
     // Clear
     this.ctx.clearRect(0, 0, this.width, this.height);
-    
-    // Clear overlay
-    this.clearOverlay();
-    
-    // Clear the labels
-    this.clearLabels();
+    if (this.theme.background !== null) {
+        this.ctx.fillStyle = this.theme.background;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+    }
     
     // Reset the color counter
     this.colorInd = 0;
@@ -461,72 +2169,155 @@ DashGraph.Plot.prototype.prerender = function() {
  */
 DashGraph.Plot.prototype.renderAxes = function() {    
     var i, val;
+    var xEnd = this.plotXStart + this.plotWidth;
+    var yEnd = this.plotYStart + this.plotHeight;
+    var theme = this.theme;
+    // The lines are snapped to the pixels of the screen, so they are sharp.
+    // The y-lines are on the pixel above their position, as the bottom axis
+    // is on the pixel above the bottom edge.
+    this.ctx.lineWidth = this.getHairlineWidth();
+    if (this.ctx.setLineDash) {
+        this.ctx.setLineDash([]);
+    }
+    
+    // Draw the minor grid of log axes
+    this.ctx.strokeStyle = theme.minorGridColor;
+    this.ctx.beginPath();
+    for (i = 0; theme.grid && i < this.xMinorTicks.length; i++) {
+        val = this.snapToPixel(this.getXCanvasPos(this.xMinorTicks[i]));
+        this.ctx.moveTo(val, this.plotYStart-.5);
+        this.ctx.lineTo(val, yEnd-.5);
+    }
+    for (i = 0; theme.grid && i < this.yMinorTicks.length; i++) {
+        val = this.snapToPixel(this.getYCanvasPos(this.yMinorTicks[i]) - 1);
+        this.ctx.moveTo(this.plotXStart+.5, val);
+        this.ctx.lineTo(xEnd+.5, val);
+    }
+    this.ctx.stroke();
     
     // Draw the x-grid
-    this.ctx.strokeStyle = "#DDDDDD"; // TODO: Make this configurable
+    this.ctx.strokeStyle = theme.gridColor;
     this.ctx.beginPath();    
-    for (i = 0; i < this.xTicks.length; i++) {
-        val = this.getXCanvasPos(this.xTicks[i]) + .5;
+    for (i = 0; theme.grid && i < this.xTicks.length; i++) {
+        val = this.snapToPixel(this.getXCanvasPos(this.xTicks[i]));
         this.ctx.moveTo(val, this.plotYStart-.5);
-        this.ctx.lineTo(val, this.plotHeight-.5);
+        this.ctx.lineTo(val, yEnd-.5);
     }
     this.ctx.stroke();
     
     // Draw the y-grid
-    this.ctx.strokeStyle = "#DDDDDD"; // TODO: Make this configurable
+    this.ctx.strokeStyle = theme.gridColor;
     this.ctx.beginPath();    
-    for (i = 0; i < this.yTicks.length; i++) {
-        val = (this.getYCanvasPos(this.yTicks[i]) | 0) - .5;
+    for (i = 0; theme.grid && i < this.yTicks.length; i++) {
+        val = this.snapToPixel(this.getYCanvasPos(this.yTicks[i]) - 1);
         this.ctx.moveTo(this.plotXStart+.5, val);
-        this.ctx.lineTo(this.width+.5, val);
+        this.ctx.lineTo(xEnd+.5, val);
     }
     this.ctx.stroke();
     
     // Draw the x/y-axes
-    this.ctx.strokeStyle = "#999999"; // TODO: Make this configurable
-    this.ctx.lineWidth = 1;
+    this.ctx.strokeStyle = theme.axisColor;
     
     /* Draw a line at the axis-borders */
     this.ctx.beginPath();
-    this.ctx.moveTo(this.plotXStart+.5, this.plotYStart-.5); // +/- .5 to fill the pixel
-    this.ctx.lineTo(this.plotXStart+.5, this.plotHeight-.5);
-    this.ctx.lineTo(this.width, this.plotHeight-.5); // Draw to the edge
+    this.ctx.moveTo(this.snapToPixel(this.plotXStart), this.plotYStart-.5); // +/- .5 to fill the pixel
+    this.ctx.lineTo(this.snapToPixel(this.plotXStart), this.snapToPixel(yEnd-1));
+    this.ctx.lineTo(xEnd, this.snapToPixel(yEnd-1)); // Draw to the edge
     this.ctx.stroke(); 
+    
+    // Draw a line at the right border if there is a right y-axis
+    if (this.hasY2) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.snapToPixel(xEnd-1), this.plotYStart-.5);
+        this.ctx.lineTo(this.snapToPixel(xEnd-1), this.snapToPixel(yEnd-1));
+        this.ctx.stroke();
+    }
 }
 
 /**
  * Renders the labels
  */
 DashGraph.Plot.prototype.renderLabels = function() {
-    var val;
+    var i, val, width;
+    var lineHeight = this.getLineHeight(this.fontSize);
+    var yEnd = this.plotYStart + this.plotHeight;
+    var xEnd = this.plotXStart + this.plotWidth;
+    
     // Place the x-markers
     // For each tick, make a new div and set it to the appropriate location
+    width = this.getMaxLabelWidth(this.xTicks, 'x') + 2 * this.labelPadding;
     for (i = 0; i < this.xTicks.length; i++) {
-        val = this.addLabelDiv(this.xLabelSize);
+        val = this.addLabelDiv(width);
         val.style.textAlign = "center";    
-        // Set the top and left of the div
-        val.style.left = ((this.getXCanvasPos(this.xTicks[i]) | 0) - this.xLabelSize/2) + "px"; // TODO: Remove this | 0 hack later
-        val.style.top = this.plotHeight + "px"; // Set the top to the edge of the plot
-        val.innerHTML = DashGraph.roundToString(this.xTicks[i], 3);
+        // Center the div on the tick, just below the plot
+        val.style.left = (Math.round(this.getXCanvasPos(this.xTicks[i])) - width/2) + "px";
+        val.style.top = (yEnd + this.labelPadding) + "px";
+        val.textContent = this.formatTick(this.xTicks[i], 'x');
         this.innerNode.appendChild(val);
     }
     
-    // TODO: Place the x-label
+    // Place the x-label centered below the markers
+    this.placeTitle(this.xLabelNode, this.xLabel, this.plotXStart + this.plotWidth/2,
+        yEnd + lineHeight + 2 * this.labelPadding + lineHeight/2);
     
-    // Place the y-markers
+    // Place the y-markers, right aligned against the plot
+    width = this.plotXStart - this.labelPadding;
     for (i = 0; i < this.yTicks.length; i++) {
-        val = this.addLabelDiv(this.yLabelSize);
+        val = this.addLabelDiv(width);
         val.style.textAlign = "right";
-        // Set the top and left of the div
-        //TODO: Give this a bit of a buffer
         val.style.left = "0px";
-        // TODO: Remove the hack to center the text along the line
-        val.style.top = ((this.getYCanvasPos(this.yTicks[i]) | 0) - 10) + "px";
-        val.innerHTML = DashGraph.roundToString(this.yTicks[i], 3);
+        // Center the div on the tick
+        val.style.top = (Math.round(this.getYCanvasPos(this.yTicks[i])) - lineHeight/2) + "px";
+        val.textContent = this.formatTick(this.yTicks[i], 'left');
         this.innerNode.appendChild(val);
     }
     
-    // TODO: Place the y-label
+    // Place the right y-markers
+    if (this.hasY2) {
+        width = this.width - xEnd - this.labelPadding;
+        for (i = 0; i < this.y2Ticks.length; i++) {
+            val = this.addLabelDiv(width);
+            val.style.textAlign = "left";
+            // Set the left to the edge of the plot, and a bit of a buffer
+            val.style.left = (xEnd + this.labelPadding) + "px";
+            // Center the div on the tick
+            val.style.top = (Math.round(this.getYCanvasPos(this.y2Ticks[i], 'right')) - lineHeight/2) + "px";
+            val.textContent = this.formatTick(this.y2Ticks[i], 'right');
+            this.innerNode.appendChild(val);
+        }
+    }
+    
+    // Place the y-label at the left edge, centered along the plot
+    this.placeTitle(this.yLabelNode, this.yLabel, lineHeight/2, this.plotYStart + this.plotHeight/2);
+    
+    // Place the title centered above the plot
+    this.placeTitle(this.titleNode, this.title, this.plotXStart + this.plotWidth/2,
+        this.getLineHeight(this.titleFontSize)/2);
+}
+
+/**
+ * Sets the text of a title div and centers it on a point, hiding it if there
+ * is no text.
+ * @param {Element} node The title div.
+ * @param {String} text The text of the title, or null for none.
+ * @param {Number} x The x-position of the center of the title.
+ * @param {Number} y The y-position of the center of the title.
+ */
+DashGraph.Plot.prototype.placeTitle = function(node, text, x, y) {
+    if (text === null) {
+        node.style.display = "none";
+        return;
+    }
+    node.style.display = "block";
+    node.textContent = text;
+    // Center the div using the measured text.  Rotated titles are rotated
+    // about their center, so this works for them as well.
+    this.ctx.font = node.style.fontWeight + " " + node.style.fontSize + " " + this.fontFamily;
+    var width = Math.ceil(this.ctx.measureText(text).width) + 2;
+    var height = parseInt(node.style.lineHeight, 10);
+    node.style.width = width + "px";
+    node.style.left = Math.round(x - width/2) + "px";
+    node.style.top = Math.round(y - height/2) + "px";
 }
 
 /**
@@ -538,14 +2329,17 @@ DashGraph.Plot.prototype.addLabelDiv = function(labelSize) {
     if (this.labelDivs.length > 0 && this.labelDivPointer < this.labelDivs.length) {
         val = this.labelDivs[this.labelDivPointer];
         val.style.visibility = 'visible';        
+        val.style.width = labelSize + "px";
     }
     else {
-        val = document.createElement("div");
+        val = this.renderer.createElement("div");
         // Set parameters for each div
         val.style.position = "absolute";
-        val.style.fontSize = "14px"; // TODO: Make this settable
-        val.style.width = labelSize + "px"; // TODO: Make this an option
-        val.style.lineHeight = "normal";
+        val.style.fontSize = this.fontSize + "px";
+        val.style.fontFamily = this.fontFamily;
+        val.style.width = labelSize + "px";
+        val.style.lineHeight = this.getLineHeight(this.fontSize) + "px";
+        val.style.whiteSpace = "nowrap";
         val.style.overflow = "hidden";        
         this.labelDivs.push(val);
     }
@@ -553,6 +2347,159 @@ DashGraph.Plot.prototype.addLabelDiv = function(labelSize) {
     return val;
 }
 
+/**
+ * Renders the legend, with an entry for each line of each dataset.  Clicking
+ * an entry hides or shows that line.
+ */
+DashGraph.Plot.prototype.renderLegend = function() {
+    var i, n, entries, entry, div, swatch, name;
+    var that = this;
+    
+    // Remove the prior entries
+    while (this.legendNode.firstChild) {
+        this.legendNode.removeChild(this.legendNode.firstChild);
+    }
+    // Place it in the top right of the plot
+    this.legendNode.style.display = "block";
+    this.legendNode.style.top = (this.plotYStart + 4) + "px";
+    this.legendNode.style.right = (this.width - this.plotXStart - this.plotWidth + 4) + "px";
+    
+    // Creates the click handler for a line, so each has its own data and line
+    var makeToggle = function(data, j) {
+        return function(e) {
+            data.setVisible(j, !data.isVisible(j));
+            that.render();
+        }
+    }
+    
+    entries = this.getLegendEntries();
+    for (i = 0; i < entries.length; i++) {
+        entry = entries[i];
+        div = this.renderer.createElement("div");
+        div.style.cursor = "pointer";
+        div.style.whiteSpace = "nowrap";
+        if (!entry.visible) {
+            div.style.opacity = "0.4";
+        }
+        
+        // Show every color a filtered line can have
+        for (n = 0; n < entry.colors.length; n++) {
+            swatch = this.renderer.createElement("span");
+            swatch.style.display = "inline-block";
+            swatch.style.width = (entry.colors.length > 1 ? 6 : 16) + "px";
+            swatch.style.height = "3px";
+            swatch.style.verticalAlign = "middle";
+            swatch.style.background = entry.colors[n];
+            div.appendChild(swatch);
+        }
+        
+        name = this.renderer.createElement("span");
+        name.style.marginLeft = "4px";
+        name.textContent = entry.name;
+        div.appendChild(name);
+        
+        div.onclick = makeToggle(entry.data, entry.line);
+        this.legendNode.appendChild(div);
+    }
+}
+
+/**
+ * Lists the entries of the legend, one for each line of each dataset.  The
+ * edges of a band are shown by the line that owns it.
+ * @return {Array} Returns an object for each entry, with data, line, name,
+ *     colors (every color the line can have) and visible.
+ */
+DashGraph.Plot.prototype.getLegendEntries = function() {
+    var k, j, data;
+    var entries = [];
+    for (k = 0; k < this.data.length; k++) {
+        data = this.data[k];
+        for (j = 0; j < data.numLines; j++) {
+            if (data.isBandEdge(j) && j !== data.getBandOwner()) {
+                continue;
+            }
+            entries.push({
+                data: data,
+                line: j,
+                name: data.getName(j) !== null ? data.getName(j) : "Line " + (entries.length + 1),
+                colors: data.hasFilter ? data.getFilterColors() : [data.lineColors[j]],
+                visible: data.isVisible(j)
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Updates the summary of the plot read by assistive technology, with the
+ * visible range, and the name and y-range of each series.
+ */
+DashGraph.Plot.prototype.renderSummary = function() {
+    this.innerNode.setAttribute("aria-label", this.title !== null ? this.title : "Plot");
+    var text = this.describeRange() + ".";
+    var i, j, data, names, bounds;
+    for (i = 0; i < this.data.length; i++) {
+        data = this.data[i];
+        if (data.x.length === 0) {
+            continue;
+        }
+        names = [];
+        for (j = 0; j < data.numLines; j++) {
+            if (data.isVisible(j) && !(data.isBandEdge(j) && j !== data.getBandOwner())) {
+                names.push(data.getName(j) !== null ? data.getName(j) : "line " + (j+1));
+            }
+        }
+        bounds = data.getYBounds();
+        if (bounds === null) {
+            continue;
+        }
+        text += " Series " + (i+1) + " (" + names.join(", ") + "): y from " +
+            this.formatValue(bounds[0], data.axis) + " to " +
+            this.formatValue(bounds[1], data.axis) + ".";
+    }
+    this.summaryNode.textContent = text;
+}
+
+/**
+ * Updates the summary shortly after rendering.  Finding the y-ranges scans
+ * the data, so while the plot keeps rendering (a drag, or streaming data) it
+ * is updated at most every 300 ms rather than on every frame.  Each update
+ * describes the latest render.
+ */
+DashGraph.Plot.prototype.requestSummary = function() {
+    if (this.summaryTimer !== null) {
+        return;
+    }
+    var that = this;
+    this.summaryTimer = setTimeout(function() {
+        that.summaryTimer = null;
+        that.renderSummary();
+    }, 300);
+}
+
+/**
+ * Describes the ranges of the axes that are shown.
+ * @return {String} Returns the description.
+ */
+DashGraph.Plot.prototype.describeRange = function() {
+    var text = "Showing x from " + this.formatValue(this.xMin, 'x') + " to " +
+        this.formatValue(this.xMax, 'x') + ", y from " +
+        this.formatValue(this.yMin, 'left') + " to " + this.formatValue(this.yMax, 'left');
+    if (this.hasY2) {
+        text += ", right y from " + this.formatValue(this.y2Min, 'right') + " to " +
+            this.formatValue(this.y2Max, 'right');
+    }
+    return text;
+}
+
+/**
+ * Announces a change to assistive technology.
+ * @param {String} text The text to announce.
+ */
+DashGraph.Plot.prototype.announce = function(text) {
+    this.liveNode.textContent = text;
+}
+
 /**
  * Clears the labels that are currently made (hides them)
  */
@@ -568,169 +2515,76 @@ DashGraph.Plot.prototype.clearLabels = function() {
  */
 DashGraph.Plot.prototype.renderData = function() {
     // Iterate over each dataset    
-    var i, j, k, getX, getY, lenData, data, isArrData;
-    var xPixVal, yPixVal, xPixValLast, yPixValLast;
-    var yVal, xVal;
-    var that = this;
-    var yTooHigh, yTooLow;
-    var updateColor = false; // Used to indicate the color is ready for update.
+    var j, k, getX, getY, lenData, data;
     for (k = 0; k < this.data.length; k++) {
         // Depending on the plot-type, the "getX" and "getY" calls will be different
         data = this.data[k];
         // Need to compensate for arrays that have multiple data points.
-        isArrData = DashGraph.isArray(data.y[data.startInd]);
-        if (isArrData) {
-            lenData = data.y[data.startInd].length;
-        } else {
-            lenData = 1;
-        }
-        if (data.plotType === 'quick') {
-            // If we are doing the quick plot, then do a "floor" operation on the result
-            getX = function(val) {
-                return that.getXCanvasPos(val) | 0;
-            }
-            if (isArrData) {
-                getY = function(val, j) {
-                    return that.getYCanvasPos(val[j]) | 0;
-                }
-            } else {
-                getY = function(val) {
-                    return that.getYCanvasPos(val) | 0;
-                }
-            }
-        } else {
-            getX = function(val) {
-                return that.getXCanvasPos(val);
-            }
-            if (isArrData) {
-                getY = function(val, j) {
-                    return that.getYCanvasPos(val[j]);
-                }
+        lenData = data.numLines;
+        getX = this.makeGetX(data);
+        getY = this.makeGetY(data);
+        
+        // Assign the colors of each line, including hidden ones, so the
+        // colors don't change as lines are hidden.  Lines with their own
+        // color don't use up a color of the palette.
+        data.lineColors = [];
+        for (j = 0; j < lenData; j++) {
+            if (data.hasColor) {
+                data.lineColors.push(data.getColorAt(data.startInd, j));
+            } else if (data.color !== null) {
+                data.lineColors.push(DashGraph.isArray(data.color) ? data.color[j] : data.color);
             } else {
-                getY = function(val) {
-                    return that.getYCanvasPos(val);
-                }
+                data.lineColors.push(this.getColor());
             }
         }
         
         // Check to make sure the plot is within the bounds
-        if (data.x[0] > this.zoom.xMax || data.x[data.x.length-1] < this.zoom.xMin) {
+        if (data.x.length === 0 || data.x[0] > this.xMax || data.x[data.x.length-1] < this.xMin) {
             continue;
         }
     
+        // Fill the band first, so the lines are drawn over it
+        if (data.band && data.isVisible(data.getBandOwner())) {
+            data.resetFilter(data.getBandOwner());
+            this.renderBand(data, getX, getY);
+        }
+    
         // Iterate over every point in the plot, and draw a line to it
         // Need to deal with the potential for multiple data points.
         j = 0;
         while(lenData !== 0) {
             lenData -= 1;   
+            if (!data.isVisible(j) || data.isBandEdge(j)) {
+                j += 1;
+                continue;
+            }
+            // Each line steps through the filter colors from the start
+            data.resetFilter(j);
             this.ctx.beginPath();
-            // TODO: Check the data to see if the style is defined
-            if (data.hasColor) {
-                this.ctx.strokeStyle = data.getColor();
-            } else {
-                this.ctx.strokeStyle = this.getColor();
+            this.ctx.strokeStyle = data.lineColors[j];
+            this.ctx.lineWidth = data.lineWidth !== null ? data.lineWidth : this.theme.lineWidth;
+            if (this.ctx.setLineDash) {
+                this.ctx.setLineDash(data.lineDash !== null ? data.lineDash : this.theme.lineDash);
             }
             
-            // Set the last pixel to the start point.
-            xPixValLast = getX(data.x[data.startInd]);
-            yPixValLast = getY(data.y[data.startInd], j);
-            
-            // Setup variables in case the data is beyond the plot
-            yTooHigh = false;
-            yTooLow = false;
-            
-            // If the x-pixel is beyond the edge, it needs to be interpolated to
-            // within the boundaries.
-            if (xPixValLast < this.plotXStart) {
-                var tempX = getX(data.x[data.startInd+1]);
-                var tempY = getY(data.y[data.startInd+1], j);
-                yPixValLast = DashGraph.interpolate(xPixValLast, yPixValLast, tempX, tempY, this.plotXStart);
-                xPixValLast = this.plotXStart;
-            }
-            // Move to the first point
-            this.ctx.moveTo(xPixValLast, yPixValLast);            
-            for (i = data.startInd+1; i <= data.stopInd; i++) {
-                xPixVal = getX(data.x[i]);
-                yPixVal = getY(data.y[i], j);
-                
-                // Check to see if the filter changed.
-                if(data.hasFilter) {
-                    if (data.updateFilter(i)) {
-                        // This will cause a draw-update for the last point,
-                        // whenever 
-                        updateColor = true;                        
-                    }
-                }
-                
-                if (Math.abs(xPixVal-xPixValLast) < .1 && Math.abs(yPixVal-yPixValLast) < .1) {
-                    continue;
-                }
-                
-                // Check if it is too far.  If so, we are done.
-                if (xPixVal > this.width) {
-                    // Interpolate to the edge, for low-data numbers
-                    yPixVal = DashGraph.interpolate(xPixValLast, yPixValLast, xPixVal, yPixVal, this.width);
-                    xPixVal = this.width;
-                    this.ctx.lineTo(xPixVal, yPixVal);
-                    break;
-                }  
-                
-                // Need to check for the value going off screen.
-                if (yPixVal < this.plotYStart) {
-                    if (!yTooHigh) {
-                        yTooHigh = true;
-                        // TODO: Draw the line to the point where it crosses
-                        xPixValLast = DashGraph.interpolate(yPixValLast, xPixValLast, yPixVal, xPixVal, this.plotYStart);
-                        yPixValLast = this.plotYStart;
-                        this.ctx.lineTo(xPixValLast, yPixValLast);
-                    }
-                    
-                    xPixValLast = xPixVal;
-                    yPixValLast = yPixVal;
-                    continue;
-                }
-                if (yPixVal > this.plotHeight) {
-                    if (!yTooLow) {
-                        yTooLow = true;
-                        // TODO: Draw the line to the point where it crosses
-                        xPixValLast = DashGraph.interpolate(yPixValLast, xPixValLast, yPixVal, xPixVal, this.plotHeight);
-                        yPixValLast = this.plotHeight;
-                        this.ctx.lineTo(xPixValLast, yPixValLast);
-                    }
-                    xPixValLast = xPixVal;
-                    yPixValLast = yPixVal;
-                    yTooLow = true;
-                    continue;
-                }
-                
-                // Check if the prior was too high or too low
-                if (yTooHigh) {
-                    // This means it was too high.  Need to interpolate,
-                    // and move.
-                    xPixValLast = DashGraph.interpolate(yPixValLast, xPixValLast, yPixVal, xPixVal, this.plotYStart);
-                    yPixValLast = this.plotYStart;
-                    this.ctx.moveTo(xPixValLast, yPixValLast);
-                    yTooHigh = false;
-                } else if (yTooLow) {
-                    // This means it was too high.  Need to interpolate,
-                    // and move.
-                    xPixValLast = DashGraph.interpolate(yPixValLast, xPixValLast, yPixVal, xPixVal, this.plotHeight);
-                    yPixValLast = this.plotHeight;
-                    this.ctx.moveTo(xPixValLast, yPixValLast);
-                    yTooLow = false;
-                }
-                
-                this.ctx.lineTo(xPixVal, yPixVal);
-                if (updateColor) {
-                    this.ctx.stroke();
+            if (data.plotType === 'scatter') {
+                this.renderScatter(data, j, getX, getY);
+            } else if (data.plotType === 'bar') {
+                this.renderBars(data, j, getX, getY);
+            } else if (data.plotType === 'step') {
+                this.renderStepLine(data, j, getX, getY);
+            } else {
+                if (data.plotType === 'area') {
+                    this.renderArea(data, j, getX, getY);
+                    data.resetFilter(j);
                     this.ctx.beginPath();
-                    this.ctx.strokeStyle = data.getColor();
-                    this.ctx.moveTo(xPixVal, yPixVal);
-                    updateColor = false;
+                    this.ctx.strokeStyle = data.lineColors[j];
+                }
+                if (data.decimation === 'minmax') {
+                    this.renderDecimatedLine(data, j, getX, getY);
+                } else {
+                    this.renderLine(data, j, getX, getY);
                 }
-                
-                xPixValLast = xPixVal;
-                yPixValLast = yPixVal;
             }
             this.ctx.stroke();
             j += 1;
@@ -739,309 +2593,3370 @@ DashGraph.Plot.prototype.renderData = function() {
 }
 
 /**
- * Clears the zooms, so it will zoom to the extents 
+ * Creates the function used to convert an index of the data to its x canvas
+ * position, depending on the plot-type of the data.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @return {Function} Returns a function of the index.
+ */
+DashGraph.Plot.prototype.makeGetX = function(data) {
+    var that = this;
+    var x = data.x;
+    var ratio = this.pixelRatio;
+    if (data.plotType === 'fast') {
+        // If we are doing the fast plot, then do a "floor" operation on the
+        // result, to the pixels of the screen
+        return function(i) {
+            return (that.getXCanvasPos(x[i]) * ratio | 0) / ratio;
+        }
+    } else {
+        return function(i) {
+            return that.getXCanvasPos(x[i]);
+        }
+    }
+}
+
+/**
+ * Creates the function used to convert an index and line of the data to its
+ * y canvas position, depending on the plot-type and layout of the data.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @return {Function} Returns a function of the index and line.
+ */
+DashGraph.Plot.prototype.makeGetY = function(data) {
+    var that = this;
+    var y = data.y;
+    var axis = data.axis;
+    var round = data.plotType === 'fast';
+    var ratio = this.pixelRatio;
+    if (data.yLayout === 'rows') {
+        return round ? function(i, j) {
+            return (that.getYCanvasPos(y[i][j], axis) * ratio | 0) / ratio;
+        } : function(i, j) {
+            return that.getYCanvasPos(y[i][j], axis);
+        }
+    } else if (data.yLayout === 'columns') {
+        return round ? function(i, j) {
+            return (that.getYCanvasPos(y[j][i], axis) * ratio | 0) / ratio;
+        } : function(i, j) {
+            return that.getYCanvasPos(y[j][i], axis);
+        }
+    } else {
+        return round ? function(i) {
+            return (that.getYCanvasPos(y[i], axis) * ratio | 0) / ratio;
+        } : function(i) {
+            return that.getYCanvasPos(y[i], axis);
+        }
+    }
+}
+
+/**
+ * Moves to the first point of a line, interpolating it onto the left edge of
+ * the plot if it is beyond it.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @param {uint} j The column of the y-data being plotted.
+ * @param {Function} getX Converts an index to an x canvas position.
+ * @param {Function} getY Converts an index (and column) to a y canvas position.
+ * @return {Object} The state of the line, which is passed to lineToClipped.
+ */
+DashGraph.Plot.prototype.startLine = function(data, j, getX, getY) {
+    // Set the last pixel to the start point.
+    var seg = {
+        x: getX(data.startInd),
+        y: getY(data.startInd, j),
+        tooHigh: false, // If the last point was above the plot
+        tooLow: false,  // If the last point was below the plot
+        done: false     // If the line has passed the right edge of the plot
+    };
+    
+    // If the x-pixel is beyond the edge, it needs to be interpolated to
+    // within the boundaries.
+    if (seg.x < this.plotXStart && data.startInd < data.stopInd) {
+        var tempX = getX(data.startInd+1);
+        var tempY = getY(data.startInd+1, j);
+        seg.y = DashGraph.interpolate(seg.x, seg.y, tempX, tempY, this.plotXStart);
+        seg.x = this.plotXStart;
+    }
+    // Check if the first point starts off screen
+    seg.tooHigh = seg.y < this.plotYStart;
+    seg.tooLow = seg.y > this.plotYStart + this.plotHeight;
+    // Move to the first point
+    this.ctx.moveTo(seg.x, seg.y);
+    return seg;
+}
+
+/**
+ * Draws a line from the last point of the line to the given point, clipping
+ * it to the top, bottom and right edges of the plot.
+ * @param {Object} seg The line state returned by startLine.
+ * @param {Number} xPixVal The canvas x-position of the point.
+ * @param {Number} yPixVal The canvas y-position of the point.
+ * @return {bool} Returns true if the line was drawn to the point, false if the
+ *     point is off of the plot.
+ */
+DashGraph.Plot.prototype.lineToClipped = function(seg, xPixVal, yPixVal) {
+    // Check if it is too far.  If so, we are done.
+    var xEnd = this.plotXStart + this.plotWidth;
+    var yEnd = this.plotYStart + this.plotHeight;
+    if (xPixVal > xEnd) {
+        // Interpolate to the edge, for low-data numbers
+        yPixVal = DashGraph.interpolate(seg.x, seg.y, xPixVal, yPixVal, xEnd);
+        xPixVal = xEnd;
+        // Only draw to the edge if the line is still on screen
+        if (!seg.tooHigh && !seg.tooLow) {
+            this.ctx.lineTo(xPixVal, yPixVal);
+        }
+        seg.x = xPixVal;
+        seg.y = yPixVal;
+        seg.done = true;
+        return false;
+    }  
+    
+    // Need to check for the value going off screen.
+    if (yPixVal < this.plotYStart) {
+        if (!seg.tooHigh) {
+            seg.tooHigh = true;
+            // Draw the line to the point where it crosses
+            seg.x = DashGraph.interpolate(seg.y, seg.x, yPixVal, xPixVal, this.plotYStart);
+            seg.y = this.plotYStart;
+            this.ctx.lineTo(seg.x, seg.y);
+        }
+        seg.x = xPixVal;
+        seg.y = yPixVal;
+        return false;
+    }
+    if (yPixVal > yEnd) {
+        if (!seg.tooLow) {
+            seg.tooLow = true;
+            // Draw the line to the point where it crosses
+            seg.x = DashGraph.interpolate(seg.y, seg.x, yPixVal, xPixVal, yEnd);
+            seg.y = yEnd;
+            this.ctx.lineTo(seg.x, seg.y);
+        }
+        seg.x = xPixVal;
+        seg.y = yPixVal;
+        return false;
+    }
+    
+    // Check if the prior was too high or too low
+    if (seg.tooHigh) {
+        // This means it was too high.  Need to interpolate,
+        // and move.
+        seg.x = DashGraph.interpolate(seg.y, seg.x, yPixVal, xPixVal, this.plotYStart);
+        seg.y = this.plotYStart;
+        this.ctx.moveTo(seg.x, seg.y);
+        seg.tooHigh = false;
+    } else if (seg.tooLow) {
+        // This means it was too low.  Need to interpolate,
+        // and move.
+        seg.x = DashGraph.interpolate(seg.y, seg.x, yPixVal, xPixVal, yEnd);
+        seg.y = yEnd;
+        this.ctx.moveTo(seg.x, seg.y);
+        seg.tooLow = false;
+    }
+    
+    this.ctx.lineTo(xPixVal, yPixVal);
+    seg.x = xPixVal;
+    seg.y = yPixVal;
+    return true;
+}
+
+/**
+ * Strokes the current path and starts a new one in the data's current filter
+ * color, continuing from the last point of the line.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @param {Object} seg The line state returned by startLine.
+ */
+DashGraph.Plot.prototype.changeLineColor = function(data, seg) {
+    this.ctx.stroke();
+    this.ctx.beginPath();
+    this.ctx.strokeStyle = data.getColor();
+    this.ctx.moveTo(seg.x, seg.y);
+}
+
+/**
+ * Plots a single line of the data, drawing a line to every point that moves
+ * at least a tenth of a pixel.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @param {uint} j The column of the y-data being plotted.
+ * @param {Function} getX Converts an index to an x canvas position.
+ * @param {Function} getY Converts an index (and column) to a y canvas position.
+ */
+DashGraph.Plot.prototype.renderLine = function(data, j, getX, getY) {
+    var i, xPixVal, yPixVal;
+    var updateColor = false; // Used to indicate the color is ready for update.
+    var seg = this.startLine(data, j, getX, getY);
+    for (i = data.startInd+1; i <= data.stopInd; i++) {
+        xPixVal = getX(i);
+        yPixVal = getY(i, j);
+        
+        // Check to see if the filter changed.
+        if(data.hasFilter) {
+            if (data.updateFilter(i)) {
+                // This will cause a draw-update for the last point,
+                // whenever 
+                updateColor = true;                        
+            }
+        }
+        
+        if (Math.abs(xPixVal-seg.x) < .1 && Math.abs(yPixVal-seg.y) < .1) {
+            continue;
+        }
+        
+        if (this.lineToClipped(seg, xPixVal, yPixVal) && updateColor) {
+            this.changeLineColor(data, seg);
+            updateColor = false;
+        }
+        if (seg.done) {
+            break;
+        }
+    }
+}
+
+/**
+ * Plots a single line of the data as steps, with a horizontal and a vertical
+ * line between each pair of points.  Where the value changes depends on the
+ * stepMode of the data.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @param {uint} j The column of the y-data being plotted.
+ * @param {Function} getX Converts an index to an x canvas position.
+ * @param {Function} getY Converts an index (and column) to a y canvas position.
+ */
+DashGraph.Plot.prototype.renderStepLine = function(data, j, getX, getY) {
+    var i, xPixVal, yPixVal, xStep;
+    var seg = this.startLine(data, j, getX, getY);
+    var lastX = getX(data.startInd);
+    var lastY = getY(data.startInd, j);
+    if (seg.x !== lastX) {
+        // The line started at the left edge, which is still at the first value
+        seg.y = lastY;
+        seg.tooHigh = seg.y < this.plotYStart;
+        seg.tooLow = seg.y > this.plotYStart + this.plotHeight;
+        this.ctx.moveTo(seg.x, seg.y);
+    }
+    for (i = data.startInd+1; i <= data.stopInd && !seg.done; i++) {
+        xPixVal = getX(i);
+        yPixVal = getY(i, j);
+        
+        // Draw the corner, where the value changes
+        if (data.stepMode === 'pre') {
+            xStep = lastX;
+        } else if (data.stepMode === 'mid') {
+            xStep = (lastX + xPixVal) / 2;
+        } else {
+            xStep = xPixVal;
+        }
+        // The line may have started at the left edge, past the corner
+        if (xStep > seg.x) {
+            this.lineToClipped(seg, xStep, lastY);
+        }
+        if (!seg.done && yPixVal !== lastY) {
+            this.lineToClipped(seg, Math.max(xStep, seg.x), yPixVal);
+        }
+        if (!seg.done && xPixVal > seg.x) {
+            this.lineToClipped(seg, xPixVal, yPixVal);
+        }
+        
+        // The new color starts at the point
+        if (data.hasFilter && data.updateFilter(i) && !seg.done) {
+            this.changeLineColor(data, seg);
+        }
+        lastX = xPixVal;
+        lastY = yPixVal;
+    }
+}
+
+/**
+ * Clips drawing on the data canvas to the plot area.  Used for markers, bars
+ * and areas, which are filled rather than drawn as clipped lines.  Must be
+ * followed by a restore.
+ */
+DashGraph.Plot.prototype.clipToPlot = function() {
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(this.plotXStart, this.plotYStart, this.plotWidth, this.plotHeight);
+    this.ctx.clip();
+    this.ctx.beginPath();
+}
+
+/**
+ * Plots a single line of the data as a marker at each point.  Only one marker
+ * is drawn in each pixel, and points off the plot are skipped.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @param {uint} j The column of the y-data being plotted.
+ * @param {Function} getX Converts an index to an x canvas position.
+ * @param {Function} getY Converts an index (and column) to a y canvas position.
+ */
+DashGraph.Plot.prototype.renderScatter = function(data, j, getX, getY) {
+    var i, xPixVal, yPixVal;
+    var size = data.markerSize;
+    var lastX = null, lastY = null;
+    var xEnd = this.plotXStart + this.plotWidth + size;
+    var yEnd = this.plotYStart + this.plotHeight + size;
+    var ctx = this.ctx;
+    this.clipToPlot();
+    ctx.fillStyle = data.lineColors[j];
+    ctx.strokeStyle = data.lineColors[j];
+    for (i = data.startInd; i <= data.stopInd; i++) {
+        if (data.hasFilter && data.updateFilter(i)) {
+            // Finish the markers of the prior color
+            this.finishMarkers(data);
+            ctx.fillStyle = data.getColor();
+            ctx.strokeStyle = data.getColor();
+        }
+        xPixVal = getX(i);
+        yPixVal = getY(i, j);
+        if (xPixVal < this.plotXStart - size || xPixVal > xEnd ||
+                yPixVal < this.plotYStart - size || yPixVal > yEnd) {
+            continue;
+        }
+        if (Math.round(xPixVal) === lastX && Math.round(yPixVal) === lastY) {
+            continue;
+        }
+        lastX = Math.round(xPixVal);
+        lastY = Math.round(yPixVal);
+        
+        if (data.marker === 'square') {
+            ctx.rect(xPixVal - size, yPixVal - size, 2 * size, 2 * size);
+        } else if (data.marker === 'diamond' || data.marker === 'triangle' || data.marker === 'cross') {
+            if (data.marker === 'diamond') {
+                ctx.moveTo(xPixVal, yPixVal - size);
+                ctx.lineTo(xPixVal + size, yPixVal);
+                ctx.lineTo(xPixVal, yPixVal + size);
+                ctx.lineTo(xPixVal - size, yPixVal);
+                ctx.closePath();
+            } else if (data.marker === 'triangle') {
+                ctx.moveTo(xPixVal, yPixVal - size);
+                ctx.lineTo(xPixVal + size, yPixVal + size);
+                ctx.lineTo(xPixVal - size, yPixVal + size);
+                ctx.closePath();
+            } else {
+                ctx.moveTo(xPixVal - size, yPixVal - size);
+                ctx.lineTo(xPixVal + size, yPixVal + size);
+                ctx.moveTo(xPixVal + size, yPixVal - size);
+                ctx.lineTo(xPixVal - size, yPixVal + size);
+            }
+        } else {
+            ctx.moveTo(xPixVal + size, yPixVal);
+            ctx.arc(xPixVal, yPixVal, size, 0, 2 * Math.PI);
+        }
+    }
+    this.finishMarkers(data);
+    ctx.restore();
+}
+
+/**
+ * Fills (or strokes, for crosses) the markers or bars added to the path, and
+ * starts a new path.
+ * @param {DashGraph.Data} data The data being plotted.
+ */
+DashGraph.Plot.prototype.finishMarkers = function(data) {
+    if (data.plotType === 'scatter' && data.marker === 'cross') {
+        this.ctx.stroke();
+    } else {
+        this.ctx.fill();
+    }
+    this.ctx.beginPath();
+}
+
+/**
+ * Plots a single line of the data as bars from the baseline, centered on each
+ * point.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @param {uint} j The column of the y-data being plotted.
+ * @param {Function} getX Converts an index to an x canvas position.
+ * @param {Function} getY Converts an index (and column) to a y canvas position.
+ */
+DashGraph.Plot.prototype.renderBars = function(data, j, getX, getY) {
+    var i, x, left, right, top, bottom, yPixVal;
+    var halfWidth = data.getBarWidth() / 2;
+    var base = this.getYCanvasPos(data.baseline, data.axis);
+    var xEnd = this.plotXStart + this.plotWidth;
+    var color = data.lineColors[j], nextColor;
+    this.clipToPlot();
+    this.ctx.fillStyle = color;
+    // Include the bars that stick into the plot from beyond the edges
+    var startInd = Math.min(DashGraph.binarySearch(data.x, this.xMin - halfWidth), data.startInd);
+    var stopInd = Math.max(DashGraph.binarySearch(data.x, this.xMax + halfWidth, true), data.stopInd);
+    for (i = startInd; i <= stopInd; i++) {
+        if (data.hasFilter) {
+            // Bars before startInd are outside of the filter state, so look
+            // up the color of each bar
+            nextColor = data.getColorAt(i, j);
+            if (nextColor !== color) {
+                this.finishMarkers(data);
+                color = nextColor;
+                this.ctx.fillStyle = color;
+            }
+        }
+        x = data.x[i];
+        left = this.getXCanvasPos(x - halfWidth);
+        right = this.getXCanvasPos(x + halfWidth);
+        if (right < this.plotXStart || left > xEnd) {
+            continue;
+        }
+        yPixVal = getY(i, j);
+        top = Math.min(yPixVal, base);
+        bottom = Math.max(yPixVal, base);
+        // Keep every bar at least a pixel wide
+        this.ctx.rect(left, top, Math.max(right - left, 1), bottom - top);
+    }
+    this.finishMarkers(data);
+    this.ctx.restore();
+}
+
+/**
+ * Fills under a single line of the data, down to the baseline.  The line
+ * itself is drawn separately.  With minmax decimation, only the first,
+ * minimum, maximum and last points of each pixel column are used.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @param {uint} j The column of the y-data being plotted.
+ * @param {Function} getX Converts an index to an x canvas position.
+ * @param {Function} getY Converts an index (and column) to a y canvas position.
+ */
+DashGraph.Plot.prototype.renderArea = function(data, j, getX, getY) {
+    var i, xPixVal, yPixVal, pixCol;
+    var ctx = this.ctx;
+    var base = this.getYCanvasPos(data.baseline, data.axis);
+    var decimate = data.decimation === 'minmax';
+    var col = null, first, last, min, max, minInd, maxInd, lastX;
+    
+    this.clipToPlot();
+    ctx.globalAlpha = .3;
+    ctx.fillStyle = data.lineColors[j];
+    
+    // Draws the points stored for the current column, in the order they
+    // occurred.
+    var flush = function() {
+        var pts = [first];
+        if (minInd < maxInd) {
+            pts.push(min, max);
+        } else if (maxInd < minInd) {
+            pts.push(max, min);
+        }
+        if (last !== first) {
+            pts.push(last);
+        }
+        for (var n = 0; n < pts.length; n++) {
+            ctx.lineTo(pts[n][0], pts[n][1]);
+        }
+        lastX = last[0];
+        col = null;
+    }
+    
+    xPixVal = getX(data.startInd);
+    ctx.moveTo(xPixVal, base);
+    ctx.lineTo(xPixVal, getY(data.startInd, j));
+    lastX = xPixVal;
+    for (i = data.startInd+1; i <= data.stopInd; i++) {
+        xPixVal = getX(i);
+        yPixVal = getY(i, j);
+        pixCol = Math.floor(xPixVal);
+        if (col !== null && pixCol !== col) {
+            flush();
+        }
+        if (data.hasFilter && data.updateFilter(i)) {
+            // Close the area of the prior color at this point, and start the
+            // next one there
+            if (col !== null) {
+                flush();
+            }
+            ctx.lineTo(xPixVal, yPixVal);
+            ctx.lineTo(xPixVal, base);
+            ctx.closePath();
+            ctx.fill();
+            ctx.beginPath();
+            ctx.fillStyle = data.getColor();
+            ctx.moveTo(xPixVal, base);
+            ctx.lineTo(xPixVal, yPixVal);
+            lastX = xPixVal;
+            continue;
+        }
+        if (!decimate) {
+            ctx.lineTo(xPixVal, yPixVal);
+            lastX = xPixVal;
+        } else if (col === null) {
+            col = pixCol;
+            first = last = min = max = [xPixVal, yPixVal];
+            minInd = maxInd = i;
+        } else {
+            last = [xPixVal, yPixVal];
+            if (yPixVal < min[1]) {
+                min = last;
+                minInd = i;
+            } else if (yPixVal > max[1]) {
+                max = last;
+                maxInd = i;
+            }
+        }
+    }
+    if (col !== null) {
+        flush();
+    }
+    ctx.lineTo(lastX, base);
+    ctx.closePath();
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.restore();
+}
+
+/**
+ * Fills the band of the data between its lower and upper lines, in the color
+ * of the line that owns it.  With a filter, each color is filled separately.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @param {Function} getX Converts an index to an x canvas position.
+ * @param {Function} getY Converts an index (and column) to a y canvas position.
+ */
+DashGraph.Plot.prototype.renderBand = function(data, getX, getY) {
+    var i;
+    var start = data.startInd;
+    this.clipToPlot();
+    this.ctx.globalAlpha = .3;
+    this.ctx.fillStyle = data.lineColors[data.getBandOwner()];
+    for (i = data.startInd+1; i <= data.stopInd; i++) {
+        if (data.hasFilter && data.updateFilter(i)) {
+            // The segments share the point where the color changes
+            this.fillBand(data, start, i, getX, getY);
+            this.ctx.fillStyle = data.getColor();
+            start = i;
+        }
+    }
+    this.fillBand(data, start, data.stopInd, getX, getY);
+    this.ctx.globalAlpha = 1;
+    this.ctx.restore();
+}
+
+/**
+ * Fills the band of the data between two indices.  With minmax decimation,
+ * the band is reduced to the widest values of each pixel column.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @param {uint} start The first index of the band.
+ * @param {uint} stop The last index of the band.
+ * @param {Function} getX Converts an index to an x canvas position.
+ * @param {Function} getY Converts an index (and column) to a y canvas position.
+ */
+DashGraph.Plot.prototype.fillBand = function(data, start, stop, getX, getY) {
+    var i, n, xPixVal, col, upper, lower;
+    var decimate = data.decimation === 'minmax';
+    var xs = [], uppers = [], lowers = [];
+    for (i = start; i <= stop; i++) {
+        xPixVal = getX(i);
+        upper = getY(i, data.band.upper);
+        lower = getY(i, data.band.lower);
+        n = xs.length - 1;
+        if (decimate && n >= 0 && Math.floor(xPixVal) === col) {
+            // Canvas positions are flipped, so the upper line is the smallest
+            uppers[n] = Math.min(uppers[n], upper);
+            lowers[n] = Math.max(lowers[n], lower);
+            // Finish the column at the last point
+            xs[n] = xPixVal;
+            continue;
+        }
+        col = Math.floor(xPixVal);
+        xs.push(xPixVal);
+        uppers.push(upper);
+        lowers.push(lower);
+    }
+    
+    // Go forward along the upper line, and back along the lower
+    this.ctx.beginPath();
+    this.ctx.moveTo(xs[0], uppers[0]);
+    for (n = 1; n < xs.length; n++) {
+        this.ctx.lineTo(xs[n], uppers[n]);
+    }
+    for (n = xs.length - 1; n >= 0; n--) {
+        this.ctx.lineTo(xs[n], lowers[n]);
+    }
+    this.ctx.closePath();
+    this.ctx.fill();
+}
+
+/**
+ * Plots a single line of the data, reducing the points within each pixel
+ * column to the first, minimum, maximum and last points (M4 decimation).  This
+ * draws the same picture as renderLine, but with at most 4 points per column.
+ * @param {DashGraph.Data} data The data being plotted.
+ * @param {uint} j The column of the y-data being plotted.
+ * @param {Function} getX Converts an index to an x canvas position.
+ * @param {Function} getY Converts an index (and column) to a y canvas position.
+ */
+DashGraph.Plot.prototype.renderDecimatedLine = function(data, j, getX, getY) {
+    var i, xPixVal, yPixVal, pixCol;
+    var colorChanged;
+    var seg = this.startLine(data, j, getX, getY);
+    // The points of the current pixel column.  Each is stored as [x, y].
+    var col = null; 
+    var first, last, min, max, minInd, maxInd;
+    
+    // Draws the points stored for the current column, in the order they
+    // occurred.
+    var that = this;
+    var flush = function() {
+        var pts = [first];
+        if (minInd < maxInd) {
+            pts.push(min, max);
+        } else if (maxInd < minInd) {
+            pts.push(max, min);
+        }
+        pts.push(last);
+        for (var n = 0; n < pts.length && !seg.done; n++) {
+            // Skip points that have already been drawn
+            if (n > 0 && pts[n] === pts[n-1]) {
+                continue;
+            }
+            that.lineToClipped(seg, pts[n][0], pts[n][1]);
+        }
+        col = null;
+    }
+    
+    for (i = data.startInd+1; i <= data.stopInd; i++) {
+        xPixVal = getX(i);
+        yPixVal = getY(i, j);
+        pixCol = Math.floor(xPixVal);
+        
+        colorChanged = data.hasFilter && data.updateFilter(i);
+        
+        if (col !== null && pixCol !== col) {
+            flush();
+            if (seg.done) {
+                break;
+            }
+        }
+        
+        if (col === null) {
+            // Start a new column with this point
+            col = pixCol;
+            first = last = min = max = [xPixVal, yPixVal];
+            minInd = maxInd = i;
+        } else {
+            last = [xPixVal, yPixVal];
+            if (yPixVal < min[1]) {
+                min = last;
+                minInd = i;
+            } else if (yPixVal > max[1]) {
+                max = last;
+                maxInd = i;
+            }
+        }
+        
+        // The line to the point the color changes at is drawn in the old
+        // color, and the new color starts from that point.
+        if (colorChanged) {
+            flush();
+            this.changeLineColor(data, seg);
+            if (seg.done) {
+                break;
+            }
+        }
+    }
+    if (col !== null && !seg.done) {
+        flush();
+    }
+}
+
+/**
+ * Clears the zooms, so it will zoom to the extents (or follow the latest data
+ * if there is an xWindow).  Like zoomTo, this triggers the zoom event, renders
+ * the plot, records the zoom in the history and passes it to any Sync.  (It
+ * used to only reset the ranges, leaving the caller to render.)
+ * @param {String} source What zoomed the plot, as 'user', 'api' (the default)
+ *     or 'sync'.
+ * @return {bool} Returns false if the zoom was cancelled.
+ */
+DashGraph.Plot.prototype.clearZoom = function(source) {
+    return this.zoomTo({xMin: null, xMax: null, yMin: null, yMax: null, y2Min: null, y2Max: null}, source);
+}
+
+/**
+ * Record the position the mouse was pressed at
+ */
+DashGraph.Plot.prototype.onmousedown = function(e) {
+    this.xZoomStart = this.eventToCanvasX(e);
+    this.yZoomStart = this.eventToCanvasY(e);
+    // Alt switches between zooming and panning
+    if ((this.interaction === 'pan') !== !!e.altKey) {
+        this.startPan();
+    } else {
+        this.zooming = true;
+    }
+    // Focus the plot so it receives the keyboard shortcuts, since
+    // preventDefault stops that from happening on its own.  Scrolling to it
+    // would move the page under the mouse.
+    this.innerNode.focus({preventScroll: true});
+    // A y-zoom over the labels of an axis only zooms that axis
+    if (this.xZoomStart < this.plotXStart) {
+        this.yZoomAxis = 'left';
+    } else if (this.hasY2 && this.xZoomStart > this.plotXStart + this.plotWidth) {
+        this.yZoomAxis = 'right';
+    } else {
+        this.yZoomAxis = 'both';
+    }
+    // Start the zoom box within the plot, like its end
+    if (this.zooming) {
+        this.xZoomStart = Math.min(Math.max(this.xZoomStart, this.plotXStart), this.plotXStart + this.plotWidth);
+        this.yZoomStart = Math.min(Math.max(this.yZoomStart, this.plotYStart), this.plotYStart + this.plotHeight);
+    }
+    // Prevents the mouse drag from selecting page text
+    if (e.preventDefault) {
+        e.preventDefault();  // Firefox, Chrome, etc.
+    } else {
+        e.returnValue = false;  // IE
+        e.cancelBubble = true;
+    }
+}
+
+/**
+ * Record the position the mouse was pressed at
+ */
+DashGraph.Plot.prototype.onmouseup = function(e) {
+    var zoom = {};
+    // Pressing and releasing without dragging is a click.  The start of a
+    // zoom is moved within the plot, so the click is where the mouse is.
+    if (this.zooming && !this.xZooming && !this.yZooming && !this.rectZooming) {
+        this.click(this.eventToCanvasX(e), this.eventToCanvasY(e));
+    } else if (this.panning && this.eventToCanvasX(e) === this.xZoomStart &&
+            this.eventToCanvasY(e) === this.yZoomStart) {
+        this.click(this.xZoomStart, this.yZoomStart);
+    }
+    if (this.panning) {
+        this.endPan();
+        return;
+    }
+    // Don't do anything if we aren't zooming
+    if (this.zooming) {
+        this.zooming = false;
+        var xPos = this.eventToCanvasX(e);
+        var yPos = this.eventToCanvasY(e);
+        // Do an x-zoom if its an x zoom
+        if (this.xZooming) {
+            this.xZooming = false;
+            if (xPos === this.xZoomStart) {
+                return;
+            }
+            this.getXZoom(this.xZoomStart, xPos, zoom);
+        } else if (this.yZooming) {
+            this.yZooming = false;
+            if (yPos === this.yZoomStart) {
+                return;
+            }
+            // Stop following the latest data, by fixing the current x-range
+            if (this.zoom.xMin === null && this.xWindow !== null) {
+                zoom.xMin = this.xMin;
+                zoom.xMax = this.xMax;
+            }
+            this.getYZoom(this.yZoomStart, yPos, this.yZoomAxis, zoom);
+        } else if (this.rectZooming) {
+            this.rectZooming = false;
+            // Keep the box within the plot
+            xPos = Math.min(Math.max(xPos, this.plotXStart), this.plotXStart + this.plotWidth);
+            yPos = Math.min(Math.max(yPos, this.plotYStart), this.plotYStart + this.plotHeight);
+            if (xPos === this.xZoomStart || yPos === this.yZoomStart) {
+                return;
+            }
+            this.getXZoom(this.xZoomStart, xPos, zoom);
+            this.getYZoom(this.yZoomStart, yPos, 'both', zoom);
+        } else {
+            return;
+        }
+        this.zoomTo(zoom, 'user');
+    }    
+}
+
+/**
+ * Triggers the click event for a click on the plot.
+ * @param {Number} xPos The x canvas position of the click.
+ * @param {Number} yPos The y canvas position of the click.
+ */
+DashGraph.Plot.prototype.click = function(xPos, yPos) {
+    if (xPos < this.plotXStart || xPos > this.plotXStart + this.plotWidth ||
+            yPos < this.plotYStart || yPos > this.plotYStart + this.plotHeight) {
+        return;
+    }
+    var xVal = this.getXPixelPos(xPos);
+    var annotation = this.getAnnotationAt(xPos, yPos);
+    if (annotation !== null) {
+        this.trigger('annotationclick', {annotation: annotation});
+    }
+    this.trigger('click', {
+        x: xVal,
+        y: this.getYPixelPos(yPos),
+        y2: this.hasY2 ? this.getYPixelPos(yPos, 'right') : null,
+        points: this.getPointValues(this.getNearestPoints(xVal))
+    });
+}
+
+/**
+ * Sets the x-range of a zoom between two x canvas positions.
+ * @param {Number} xPos1 One edge of the zoom.
+ * @param {Number} xPos2 The other edge of the zoom.
+ * @param {Object} zoom The zoom to set xMin and xMax of.
+ */
+DashGraph.Plot.prototype.getXZoom = function(xPos1, xPos2, zoom) {
+    zoom.xMin = this.getXPixelPos(Math.min(xPos1, xPos2));
+    zoom.xMax = this.getXPixelPos(Math.max(xPos1, xPos2));
+}
+
+/**
+ * Sets the y-ranges of a zoom between two y canvas positions.
+ * @param {Number} yPos1 One edge of the zoom.
+ * @param {Number} yPos2 The other edge of the zoom.
+ * @param {String} axis The axes to zoom, as 'left', 'right' or 'both'.
+ * @param {Object} zoom The zoom to set the y-ranges of.
+ */
+DashGraph.Plot.prototype.getYZoom = function(yPos1, yPos2, axis, zoom) {
+    var yLow = Math.max(yPos1, yPos2);
+    var yHigh = Math.min(yPos1, yPos2);
+    if (axis !== 'right') {
+        zoom.yMax = this.getYPixelPos(yHigh);
+        zoom.yMin = this.getYPixelPos(yLow);
+    }
+    if (axis !== 'left' && this.hasY2) {
+        zoom.y2Max = this.getYPixelPos(yHigh, 'right');
+        zoom.y2Min = this.getYPixelPos(yLow, 'right');
+    }
+}
+
+/**
+ * Zooms the plot, recording the zoom in the history so it can be undone with
+ * zoomBack.  The zoom event handlers can modify or cancel the zoom.
+ * @param {Object} zoom The new ranges, with any of xMin, xMax, yMin, yMax,
+ *     y2Min and y2Max.  Ranges that are left out are unchanged, and null means
+ *     plot-determined.
+ * @param {String} source What zoomed the plot, as 'user', 'api' (the default)
+ *     or 'sync'.
+ * @return {bool} Returns false if the zoom was cancelled.
+ */
+DashGraph.Plot.prototype.zoomTo = function(zoom, source) {
+    var newZoom = DashGraph.copyZoom(this.zoom);
+    for (var key in zoom) {
+        if (newZoom.hasOwnProperty(key)) {
+            newZoom[key] = zoom[key];
+        }
+    }
+    
+    // Remove any zooms that could have been redone, and record this one (if
+    // it changed)
+    if (!DashGraph.zoomEquals(newZoom, this.zoomHistory[this.zoomHistoryInd])) {
+        var evt = this.trigger('zoom', {zoom: newZoom, source: source ? source : 'api'});
+        if (evt.cancel) {
+            // Undo any zoom shown while dragging
+            this.zoom = DashGraph.copyZoom(this.zoomHistory[this.zoomHistoryInd]);
+            this.render();
+            if (this.sync !== null) {
+                this.sync.zoom(this, false);
+            }
+            return false;
+        }
+        newZoom = DashGraph.copyZoom(evt.zoom);
+        this.zoomHistory.splice(this.zoomHistoryInd + 1);
+        this.zoomHistory.push(newZoom);
+        this.zoomHistoryInd = this.zoomHistory.length - 1;
+    }
+    
+    this.zoom = DashGraph.copyZoom(newZoom);
+    this.render();
+    this.announce(this.describeRange());
+    if (this.sync !== null) {
+        this.sync.zoom(this, true);
+    }
+    return true;
+}
+
+/**
+ * Returns to the previous zoom in the history.
+ * @param {String} source What zoomed the plot, as 'user', 'api' (the default)
+ *     or 'sync'.
+ * @return {bool} Returns true if there was a previous zoom, and it wasn't
+ *     cancelled.
+ */
+DashGraph.Plot.prototype.zoomBack = function(source) {
+    if (this.zoomHistoryInd === 0) {
+        return false;
+    }
+    return this.zoomHistoryTo(this.zoomHistoryInd - 1, source);
+}
+
+/**
+ * Returns to the next zoom in the history, after zoomBack.
+ * @param {String} source What zoomed the plot, as 'user', 'api' (the default)
+ *     or 'sync'.
+ * @return {bool} Returns true if there was a next zoom, and it wasn't
+ *     cancelled.
+ */
+DashGraph.Plot.prototype.zoomForward = function(source) {
+    if (this.zoomHistoryInd === this.zoomHistory.length - 1) {
+        return false;
+    }
+    return this.zoomHistoryTo(this.zoomHistoryInd + 1, source);
+}
+
+/**
+ * Moves to a zoom in the history.  The zoom event handlers can modify or
+ * cancel the zoom.
+ * @param {uint} ind The index of the zoom in the history.
+ * @param {String} source What zoomed the plot.
+ * @return {bool} Returns false if the zoom was cancelled.
+ */
+DashGraph.Plot.prototype.zoomHistoryTo = function(ind, source) {
+    var evt = this.trigger('zoom', {zoom: DashGraph.copyZoom(this.zoomHistory[ind]),
+        source: source ? source : 'api'});
+    if (evt.cancel) {
+        return false;
+    }
+    this.zoomHistoryInd = ind;
+    this.zoom = DashGraph.copyZoom(evt.zoom);
+    this.render();
+    this.announce(this.describeRange());
+    if (this.sync !== null) {
+        this.sync.zoom(this, true);
+    }
+    return true;
+}
+
+/**
+ * Record the position the mouse was pressed at
+ */
+DashGraph.Plot.prototype.onmousemove = function(e) {    
+    if (this.panning) {
+        this.pan(this.eventToCanvasX(e), this.eventToCanvasY(e));
+        return;
+    }
+    // Ensure we are zooming
+    if (this.zooming) {
+        var xPos = this.eventToCanvasX(e);
+        var yPos = this.eventToCanvasY(e);
+        // Check the distances the mouse has moved
+        var xDist = Math.abs(xPos - this.xZoomStart);
+        var yDist = Math.abs(yPos - this.yZoomStart);
+        // Zoom a box if shift is held, or if the drag is far in both directions
+        if ((e.shiftKey && (xDist > 1 || yDist > 1)) ||
+                (xDist > this.rectZoomPixels && yDist > this.rectZoomPixels)) {
+            this.xZooming = false;
+            this.yZooming = false;
+            this.rectZooming = true;
+            // Keep the box within the plot
+            xPos = Math.min(Math.max(xPos, this.plotXStart), this.plotXStart + this.plotWidth);
+            yPos = Math.min(Math.max(yPos, this.plotYStart), this.plotYStart + this.plotHeight);
+            // Draw the bounding box in the overlay
+            this.drawRectZoom(xPos, yPos);
+        } else if (xDist > yDist && xDist > 1) {
+            this.xZooming = true;
+            this.yZooming = false;
+            this.rectZooming = false;
+            // If the box is extending into the x-tick area, stop it
+            if (xPos < this.plotXStart) {
+                xPos = this.plotXStart;
+            }
+            // Draw the bounding box in the overlay
+            this.drawXZoom(xPos);
+        } else if (yDist > xDist && yDist > 1) {
+            this.xZooming = false;
+            this.yZooming = true;
+            this.rectZooming = false;
+            // If the box is extending into the x-tick area, stop it
+            if (yPos > this.plotYStart + this.plotHeight) {
+                yPos = this.plotYStart + this.plotHeight;
+            }
+            // Draw the bounding box in the overlay
+            this.drawYZoom(yPos);
+        }
+    } else {
+        if (this.showHover) {
+            this.drawHover(this.eventToCanvasX(e), this.eventToCanvasY(e));
+        }
+        this.setAnnotationHovered(this.getAnnotationAt(this.eventToCanvasX(e), this.eventToCanvasY(e)));
+    }
+}
+
+/**
+ * Record the position the mouse was pressed at
+ */
+DashGraph.Plot.prototype.ondblclick = function(e) {
+    // Zoom out, unless we are already zoomed out
+    for (var key in this.zoom) {
+        if (this.zoom[key] !== null) {
+            this.clearZoom('user');
+            return;
+        }
+    }
+}
+
+/**
+ * Zoom in or out with the mouse wheel, keeping the value under the mouse in
+ * place.  Over the plot both axes are zoomed, and over the labels of an axis
+ * only that axis is zoomed.
+ */
+DashGraph.Plot.prototype.onwheel = function(e) {
+    if (!this.wheelZoom) {
+        return;
+    }
+    var xPos = this.eventToCanvasX(e);
+    var yPos = this.eventToCanvasY(e);
+    var xEnd = this.plotXStart + this.plotWidth;
+    var yEnd = this.plotYStart + this.plotHeight;
+    
+    // Scale the zoom by how far the wheel turned.  deltaMode 1 is in lines.
+    var delta = e.deltaY !== undefined ? e.deltaY : -e.wheelDelta;
+    if (e.deltaMode === 1) {
+        delta *= 16;
+    }
+    var factor = Math.exp(delta * .002);
+    
+    var zoomX = yPos > yEnd || (xPos >= this.plotXStart && xPos <= xEnd);
+    var zoomY = yPos <= yEnd;
+    if (zoomX) {
+        this.zoomAxis('x', this.getXPixelPos(xPos), factor);
+    }
+    if (zoomY && xPos <= xEnd) {
+        this.zoomAxis('left', this.getYPixelPos(yPos), factor);
+    }
+    if (zoomY && this.hasY2 && xPos >= this.plotXStart) {
+        this.zoomAxis('right', this.getYPixelPos(yPos, 'right'), factor);
+    }
+    this.requestRender();
+    
+    // Record the zoom in the history once the wheel stops
+    var that = this;
+    clearTimeout(this.wheelTimer);
+    this.wheelTimer = setTimeout(function() {
+        that.wheelTimer = null;
+        that.zoomTo({}, 'user');
+    }, 300);
+    
+    // Prevents the page from scrolling
+    if (e.preventDefault) {
+        e.preventDefault();
+    } else {
+        e.returnValue = false;
+    }
+}
+
+/**
+ * Scales the range of an axis about a value, without recording it in the
+ * zoom history.
+ * @param {String} axis The axis to zoom, as 'x', 'left' or 'right'.
+ * @param {Number} val The value that stays in place.
+ * @param {Number} factor The amount to scale the range by.  Less than 1
+ *     zooms in.
+ */
+DashGraph.Plot.prototype.zoomAxis = function(axis, val, factor) {
+    var range = this.getAxisRange(axis);
+    // Scale the range in the scale of the axis, so a log axis zooms evenly
+    val = this.toAxisScale(val, axis);
+    var min = this.toAxisScale(range[0], axis);
+    var max = this.toAxisScale(range[1], axis);
+    this.setAxisRange(axis, this.fromAxisScale(val - (val - min) * factor, axis),
+        this.fromAxisScale(val + (max - val) * factor, axis), true);
+}
+
+/**
+ * Returns the range currently plotted on an axis.
+ * @param {String} axis The axis, as 'x', 'left' or 'right'.
+ * @return {Array} Returns the range as [min, max].
+ */
+DashGraph.Plot.prototype.getAxisRange = function(axis) {
+    if (axis === 'x') {
+        return [this.xMin, this.xMax];
+    } else if (axis === 'right') {
+        return [this.y2Min, this.y2Max];
+    }
+    return [this.yMin, this.yMax];
+}
+
+/**
+ * Sets the zoom of an axis, without recording it in the zoom history or
+ * rendering.  The range is kept within the extents of the data, if clamp is
+ * set.
+ * @param {String} axis The axis, as 'x', 'left' or 'right'.
+ * @param {Number} min The minimum of the range.
+ * @param {Number} max The maximum of the range.
+ * @param {bool} clamp If the range is kept within the data.
+ */
+DashGraph.Plot.prototype.setAxisRange = function(axis, min, max, clamp) {
+    var lower, upper, width;
+    if (axis === 'x') {
+        lower = this.dataXMin;
+        upper = this.dataXMax;
+    } else if (axis === 'right') {
+        lower = Math.min(this.y2DataMin, this.y2Min);
+        upper = Math.max(this.y2DataMax, this.y2Max);
+    } else {
+        lower = Math.min(this.yDataMin, this.yMin);
+        upper = Math.max(this.yDataMax, this.yMax);
+    }
+    
+    // Shift the range back within the extents, and then shrink it to fit.
+    // This is done in the scale of the axis, so a log axis keeps its decades.
+    if (clamp && lower !== null && upper !== null && !isNaN(lower) && !isNaN(upper)) {
+        var range = [this.toAxisScale(min, axis), this.toAxisScale(max, axis)];
+        var extents = [this.toAxisScale(lower, axis), this.toAxisScale(upper, axis)];
+        width = range[1] - range[0];
+        if (range[0] < extents[0]) {
+            range = [extents[0], extents[0] + width];
+        }
+        if (range[1] > extents[1]) {
+            range = [Math.max(extents[1] - width, extents[0]), extents[1]];
+        }
+        // Use the extents themselves at the edges, to avoid rounding in
+        // fromAxisScale
+        min = range[0] === extents[0] ? lower : this.fromAxisScale(range[0], axis);
+        max = range[1] === extents[1] ? upper : this.fromAxisScale(range[1], axis);
+    }
+    
+    if (axis === 'x') {
+        this.zoom.xMin = min;
+        this.zoom.xMax = max;
+    } else if (axis === 'right') {
+        this.zoom.y2Min = min;
+        this.zoom.y2Max = max;
+    } else {
+        this.zoom.yMin = min;
+        this.zoom.yMax = max;
+    }
+}
+
+/**
+ * Starts dragging the plot, from the position the mouse was pressed at.
+ */
+DashGraph.Plot.prototype.startPan = function() {
+    this.panning = true;
+    // Store the ranges and scales at the start, which the pan is relative to
+    this.panStart = {
+        x: this.getAxisRange('x'),
+        left: this.getAxisRange('left'),
+        right: this.getAxisRange('right'),
+        xScale: this.xScale,
+        xBias: this.xBias,
+        yScale: this.yScale,
+        yBias: this.yBias,
+        y2Scale: this.y2Scale,
+        y2Bias: this.y2Bias
+    };
+}
+
+/**
+ * Drags the plot so the point the mouse was pressed at follows the mouse.
+ * The y-axes are only dragged if they are zoomed.
+ * @param {Number} xPos The x canvas position of the mouse.
+ * @param {Number} yPos The y canvas position of the mouse.
+ */
+DashGraph.Plot.prototype.pan = function(xPos, yPos) {
+    var start = this.panStart;
+    this.shiftAxis('x', start.x, (xPos - this.xZoomStart) / start.xScale);
+    if (this.zoom.yMin !== null) {
+        this.shiftAxis('left', start.left, (yPos - this.yZoomStart) / start.yScale);
+    }
+    if (this.hasY2 && this.zoom.y2Min !== null) {
+        this.shiftAxis('right', start.right, (yPos - this.yZoomStart) / start.y2Scale);
+    }
+    this.requestRender();
+}
+
+/**
+ * Moves a range of an axis back by an amount in the scale of the axis (the
+ * log of the values on a log axis), keeping it within the data.
+ * @param {String} axis The axis, as 'x', 'left' or 'right'.
+ * @param {Array} range The range to move, as [min, max].
+ * @param {Number} shift The amount to move the range back by.
+ */
+DashGraph.Plot.prototype.shiftAxis = function(axis, range, shift) {
+    this.setAxisRange(axis, this.fromAxisScale(this.toAxisScale(range[0], axis) - shift, axis),
+        this.fromAxisScale(this.toAxisScale(range[1], axis) - shift, axis), true);
+}
+
+/**
+ * Finishes dragging the plot, and records the new zoom in the history.
+ */
+DashGraph.Plot.prototype.endPan = function() {
+    this.panning = false;
+    this.zoomTo({}, 'user');
+}
+
+/**
+ * Record a pointer (mouse, pen or touch) being pressed.  A single pointer
+ * zooms or pans like the mouse, and a second pointer starts a pinch.
+ */
+DashGraph.Plot.prototype.onpointerdown = function(e) {
+    // Only the main mouse button is used
+    if (e.pointerType === 'mouse' && e.button !== 0) {
+        return;
+    }
+    var xPos = this.eventToCanvasX(e);
+    var yPos = this.eventToCanvasY(e);
+    if (this.overlay.setPointerCapture) {
+        this.overlay.setPointerCapture(e.pointerId);
+    }
+    if (this.pointers[e.pointerId] === undefined) {
+        this.numPointers += 1;
+    }
+    this.pointers[e.pointerId] = {x: xPos, y: yPos};
+    this.cancelLongPress();
+    
+    if (this.numPointers === 1) {
+        this.pinchEnded = false;
+        this.onmousedown(e);
+        // Show the values if a touch or pen is held still
+        if (e.pointerType !== 'mouse') {
+            var that = this;
+            this.longPressTimer = setTimeout(function() {
+                that.longPressTimer = null;
+                that.longPressing = true;
+                // Stop the zoom or pan that the press started
+                that.zooming = false;
+                that.xZooming = false;
+                that.yZooming = false;
+                that.rectZooming = false;
+                that.panning = false;
+                that.drawHover(xPos, yPos);
+            }, this.longPressTime);
+        }
+    } else if (this.numPointers === 2) {
+        this.startPinch();
+        if (e.preventDefault) {
+            e.preventDefault();
+        }
+    }
+}
+
+/**
+ * Track a pointer moving.
+ */
+DashGraph.Plot.prototype.onpointermove = function(e) {
+    var xPos = this.eventToCanvasX(e);
+    var yPos = this.eventToCanvasY(e);
+    var pointer = this.pointers[e.pointerId];
+    if (pointer !== undefined) {
+        // Moving cancels a long press
+        if (Math.abs(xPos - this.xZoomStart) > this.tapPixels ||
+                Math.abs(yPos - this.yZoomStart) > this.tapPixels) {
+            this.cancelLongPress();
+        }
+        pointer.x = xPos;
+        pointer.y = yPos;
+    }
+    
+    if (this.pinching) {
+        this.pinch();
+    } else if (this.longPressing) {
+        this.drawHover(xPos, yPos);
+    } else if (!this.pinchEnded && (pointer !== undefined || e.pointerType !== 'touch')) {
+        // Touches only exist while they are down, so they never hover
+        this.onmousemove(e);
+    }
+}
+
+/**
+ * Record a pointer being released.
+ */
+DashGraph.Plot.prototype.onpointerup = function(e) {
+    if (this.pointers[e.pointerId] === undefined) {
+        return;
+    }
+    delete this.pointers[e.pointerId];
+    this.numPointers -= 1;
+    this.cancelLongPress();
+    
+    if (this.pinching) {
+        // Ignore the remaining pointer, so it doesn't start a new zoom
+        this.pinching = false;
+        this.pinchEnded = true;
+        this.zoomTo({}, 'user');
+    } else if (this.longPressing) {
+        this.longPressing = false;
+    } else if (!this.pinchEnded) {
+        this.onmouseup(e);
+        if (e.pointerType !== 'mouse') {
+            this.checkDoubleTap(this.eventToCanvasX(e), this.eventToCanvasY(e));
+        }
+    }
+}
+
+/**
+ * Stops a long press from showing the values.
+ */
+DashGraph.Plot.prototype.cancelLongPress = function() {
+    if (this.longPressTimer !== null) {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+}
+
+/**
+ * Checks if a tap is the second of a double-tap, which zooms out like a
+ * double-click.
+ * @param {Number} xPos The x canvas position of the tap.
+ * @param {Number} yPos The y canvas position of the tap.
+ */
+DashGraph.Plot.prototype.checkDoubleTap = function(xPos, yPos) {
+    // Only count taps that didn't move
+    if (Math.abs(xPos - this.xZoomStart) > this.tapPixels ||
+            Math.abs(yPos - this.yZoomStart) > this.tapPixels) {
+        this.lastTap = null;
+        return;
+    }
+    var now = new Date().getTime();
+    var last = this.lastTap;
+    if (last !== null && now - last.time < this.doubleTapTime &&
+            Math.abs(xPos - last.x) < 2 * this.tapPixels && Math.abs(yPos - last.y) < 2 * this.tapPixels) {
+        this.lastTap = null;
+        this.ondblclick();
+    } else {
+        this.lastTap = {time: now, x: xPos, y: yPos};
+    }
+}
+
+/**
+ * Starts a pinch with the two pointers that are down, stopping any zoom or
+ * pan that the first pointer started.
+ */
+DashGraph.Plot.prototype.startPinch = function() {
+    this.clearOverlay();
+    this.zooming = false;
+    this.xZooming = false;
+    this.yZooming = false;
+    this.rectZooming = false;
+    this.startPan();
+    this.panning = false;
+    this.pinching = true;
+    this.pinchStart = this.getPinch();
+}
+
+/**
+ * Returns the center of the two pointers that are down, and the distance
+ * between them in x and y.
+ */
+DashGraph.Plot.prototype.getPinch = function() {
+    var pts = [];
+    for (var id in this.pointers) {
+        pts.push(this.pointers[id]);
+    }
+    return {
+        x: (pts[0].x + pts[1].x)/2,
+        y: (pts[0].y + pts[1].y)/2,
+        xDist: Math.abs(pts[0].x - pts[1].x),
+        yDist: Math.abs(pts[0].y - pts[1].y)
+    };
+}
+
+/**
+ * Zooms and pans the plot so the values that started under the two pointers
+ * stay under them.  An axis is only zoomed if the pointers started far enough
+ * apart along it, and is otherwise only panned.  The y-axes are only moved if
+ * they are zoomed, or are being zoomed.
+ */
+DashGraph.Plot.prototype.pinch = function() {
+    var start = this.pinchStart;
+    var cur = this.getPinch();
+    var xFactor = 1, yFactor = 1;
+    if (start.xDist > this.tapPixels && cur.xDist > 0) {
+        xFactor = start.xDist / cur.xDist;
+    }
+    if (start.yDist > this.tapPixels && cur.yDist > 0) {
+        yFactor = start.yDist / cur.yDist;
+    }
+    
+    this.pinchAxis('x', start.x, cur.x, xFactor);
+    if (this.zoom.yMin !== null || yFactor !== 1) {
+        this.pinchAxis('left', start.y, cur.y, yFactor);
+    }
+    if (this.hasY2 && (this.zoom.y2Min !== null || yFactor !== 1)) {
+        this.pinchAxis('right', start.y, cur.y, yFactor);
+    }
+    this.requestRender();
+}
+
+/**
+ * Sets the range of an axis so the value at a start position moves to a new
+ * position, scaling the range by a factor.
+ * @param {String} axis The axis, as 'x', 'left' or 'right'.
+ * @param {Number} startPos The canvas position the pinch started at.
+ * @param {Number} pos The canvas position the pinch is at.
+ * @param {Number} factor The amount to scale the range by.
+ */
+DashGraph.Plot.prototype.pinchAxis = function(axis, startPos, pos, factor) {
+    var start = this.panStart;
+    var scale, bias, low, high;
+    if (axis === 'x') {
+        scale = start.xScale;
+        bias = start.xBias;
+        low = this.plotXStart;
+        high = this.plotXStart + this.plotWidth;
+    } else {
+        scale = axis === 'right' ? start.y2Scale : start.yScale;
+        bias = axis === 'right' ? start.y2Bias : start.yBias;
+        // The minimum of the y-axis is at the bottom
+        low = this.plotYStart + this.plotHeight;
+        high = this.plotYStart;
+    }
+    // The value under the start position, and the transform that puts it
+    // under the new position
+    var val = (startPos - bias) / scale;
+    scale = scale / factor;
+    bias = pos - val * scale;
+    this.setAxisRange(axis, this.fromAxisScale((low - bias) / scale, axis),
+        this.fromAxisScale((high - bias) / scale, axis), true);
+}
+
+/**
+ * Renders the plot on the next animation frame, so many changes in a row
+ * (like dragging) only render once per frame.
+ */
+DashGraph.Plot.prototype.requestRender = function() {
+    if (this.renderPending) {
+        return;
+    }
+    this.renderPending = true;
+    var that = this;
+    var callback = function() {
+        that.renderPending = false;
+        if (that.destroyed) {
+            return;
+        }
+        that.render();
+        if (that.sync !== null) {
+            that.sync.zoom(that, false);
+        }
+    }
+    if (typeof window !== 'undefined' && window.requestAnimationFrame) {
+        window.requestAnimationFrame(callback);
+    } else {
+        setTimeout(callback, 16);
+    }
+}
+
+/**
+ * Handle the keyboard shortcuts
+ */
+DashGraph.Plot.prototype.onkeydown = function(e) {
+    var step = this.keyStep;
+    var moved = true; // If the zoom was changed without recording it
+    switch (e.keyCode) {
+    case 8:
+        // Backspace steps back through the zooms, and shift+backspace forward
+        if (e.shiftKey) {
+            this.zoomForward('user');
+        } else {
+            this.zoomBack('user');
+        }
+        moved = false;
+        break;
+    case 36:
+        // Home zooms out to the extents
+        this.clearZoom('user');
+        moved = false;
+        break;
+    case 37:
+    case 39:
+        // The left and right arrows pan the x-axis
+        this.keyPan('x', e.keyCode === 37 ? -step : step);
+        break;
+    case 38:
+    case 40:
+        // The up and down arrows pan the y-axes
+        this.keyPan('left', e.keyCode === 40 ? -step : step);
+        if (this.hasY2) {
+            this.keyPan('right', e.keyCode === 40 ? -step : step);
+        }
+        break;
+    case 107:
+    case 187:
+    case 61:
+    case 109:
+    case 189:
+    case 173:
+        // + and - zoom about the center, in x and in any y-axes that are
+        // already zoomed (so autoscaling continues otherwise)
+        var factor = (e.keyCode === 109 || e.keyCode === 189 || e.keyCode === 173) ?
+            1/(1 - 2*step) : 1 - 2*step;
+        this.keyZoom('x', factor);
+        if (this.zoom.yMin !== null) {
+            this.keyZoom('left', factor);
+        }
+        if (this.hasY2 && this.zoom.y2Min !== null) {
+            this.keyZoom('right', factor);
+        }
+        break;
+    default:
+        return;
+    }
+    if (moved) {
+        this.zoomTo({}, 'user');
+    }
+    // Prevents the browser from navigating back, or scrolling
+    if (e.preventDefault) {
+        e.preventDefault();
+    } else {
+        e.returnValue = false;
+    }
+}
+
+/**
+ * Pans an axis by a fraction of its range, without recording it in the zoom
+ * history.
+ * @param {String} axis The axis to pan, as 'x', 'left' or 'right'.
+ * @param {Number} fraction The fraction of the range to move by.
+ */
+DashGraph.Plot.prototype.keyPan = function(axis, fraction) {
+    var range = this.getAxisRange(axis);
+    var width = this.toAxisScale(range[1], axis) - this.toAxisScale(range[0], axis);
+    this.shiftAxis(axis, range, -width * fraction);
+}
+
+/**
+ * Zooms an axis about the center of its range, without recording it in the
+ * zoom history.
+ * @param {String} axis The axis to zoom, as 'x', 'left' or 'right'.
+ * @param {Number} factor The amount to scale the range by.
+ */
+DashGraph.Plot.prototype.keyZoom = function(axis, factor) {
+    var range = this.getAxisRange(axis);
+    var center = (this.toAxisScale(range[0], axis) + this.toAxisScale(range[1], axis))/2;
+    this.zoomAxis(axis, this.fromAxisScale(center, axis), factor);
+}
+
+/**
+ * Deal with the mouse exiting the object
+ */
+DashGraph.Plot.prototype.onmouseout = function(e) {
+    this.clearHover();
+    this.setAnnotationHovered(null);
+    if (this.sync !== null) {
+        this.sync.hover(this, null);
+    }
+    if (this.panning) {
+        this.endPan();
+    }
+    this.zooming = false;
+    this.xZooming = false;
+    this.yZooming = false;
+    this.rectZooming = false;
+}
+
+/**
+ * Helper function to return the mouse coordinates relative to the canvas
+ * Taken from http://www.quirksmode.org/js/events_properties.html
+ */
+DashGraph.Plot.prototype.eventToCanvasX = function(e) {
+    if (!e) var e = window.event;
+    // The position of the overlay on the screen works for mouse, pen and
+    // touch events alike
+    if (e.clientX !== undefined && this.overlay.getBoundingClientRect) {
+        return e.clientX - this.overlay.getBoundingClientRect().left;
+    }
+    // For others, we have to calculate it
+    // Grab the pageX (supported on some browsers, not others)
+    var posx = 0;
+    if (e.pageX )     {
+        posx = e.pageX;
+    }
+    else if (e.clientX )    {
+        posx = e.clientX + document.body.scrollLeft
+            + document.documentElement.scrollLeft;
+    }
+    
+    // Subtract from the x-position of the canvas in the document
+    return posx - DashGraph.findPosX(this.canvas);    
+}
+
+/**
+ * Helper function to return the mouse coordinates relative to the canvas
+ * Taken from http://www.quirksmode.org/js/events_properties.html
+ */
+DashGraph.Plot.prototype.eventToCanvasY = function(e) {
+    if (!e) var e = window.event;
+    // The position of the overlay on the screen works for mouse, pen and
+    // touch events alike
+    if (e.clientY !== undefined && this.overlay.getBoundingClientRect) {
+        return e.clientY - this.overlay.getBoundingClientRect().top;
+    }
+    // For others, we have to calculate it
+    // Grab the pageY (supported on some browsers, not others)
+    var posy = 0;
+    if (e.pageY)     {
+        posy = e.pageY;
+    }
+    else if (e.clientY)    {
+        posy = e.clientY + document.body.scrollTop
+            + document.documentElement.scrollTop;
+    }
+    
+    // Subtract from the y-position of the canvas in the document
+    return posy - DashGraph.findPosY(this.canvas);    
+}
+
+/**
+ * Draws a box over the plot area to represent the zooming
+ */
+DashGraph.Plot.prototype.drawXZoom = function(xPos) {
+    // First clear any prior zooming
+    this.clearOverlay();
+    
+    // Draw the rectangle
+    this.ctxOverlay.fillStyle = this.theme.zoomColor;
+    this.ctxOverlay.fillRect(this.xZoomStart,this.plotYStart, xPos - this.xZoomStart, this.plotHeight);
+}
+
+/**
+ * Draws a box over the plot area to represent the zooming
+ */
+DashGraph.Plot.prototype.drawYZoom = function(yPos) {
+    // First clear any prior zooming
+    this.clearOverlay();
+    
+    // Draw the rectangle
+    this.ctxOverlay.fillStyle = this.theme.zoomColor;
+    this.ctxOverlay.fillRect(this.plotXStart, this.yZoomStart, this.plotWidth, yPos - this.yZoomStart);
+}
+
+
+
+/**
+ * Draws the annotations in one of their layers.  The shaded regions are drawn
+ * below the data, so they don't hide it, and the rest above.
+ * @param {String} layer The layer, as 'below' or 'above'.
+ */
+DashGraph.Plot.prototype.renderAnnotations = function(layer) {
+    var i, annotation, pos, color;
+    var ctx = this.ctx;
+    this.clipToPlot();
+    ctx.font = this.fontSize + "px " + this.fontFamily;
+    for (i = 0; i < this.annotations.length; i++) {
+        annotation = this.annotations[i];
+        if ((annotation.type === 'span') !== (layer === 'below')) {
+            continue;
+        }
+        annotation.textBox = null;
+        pos = this.getAnnotationPos(annotation);
+        if (pos === null) {
+            continue;
+        }
+        // Points are in the color of their line by default
+        if (annotation.color !== null) {
+            color = annotation.color;
+        } else if (annotation.type === 'point') {
+            color = annotation.data.lineColors[annotation.line];
+        } else {
+            color = this.theme.annotationColor;
+        }
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = annotation.lineWidth;
+        if (ctx.setLineDash) {
+            ctx.setLineDash(annotation.lineDash);
+        }
+        ctx.beginPath();
+        if (annotation.type === 'vline') {
+            ctx.moveTo(this.snapToPixel(pos.x), this.plotYStart);
+            ctx.lineTo(this.snapToPixel(pos.x), this.plotYStart + this.plotHeight);
+            ctx.stroke();
+            this.drawAnnotationText(annotation, pos.x + 4, this.plotYStart + 4);
+        } else if (annotation.type === 'hline') {
+            ctx.moveTo(this.plotXStart, this.snapToPixel(pos.y));
+            ctx.lineTo(this.plotXStart + this.plotWidth, this.snapToPixel(pos.y));
+            ctx.stroke();
+            // Right aligned, just above the line
+            this.drawAnnotationText(annotation, this.plotXStart + this.plotWidth - 4 -
+                ctx.measureText(annotation.text !== null ? annotation.text : "").width, pos.y - this.fontSize - 2);
+        } else if (annotation.type === 'span') {
+            ctx.globalAlpha = .15;
+            ctx.fillRect(pos.x, this.plotYStart, pos.x2 - pos.x, this.plotHeight);
+            ctx.globalAlpha = 1;
+            this.drawAnnotationText(annotation, pos.x + 4, this.plotYStart + 4);
+        } else {
+            ctx.arc(pos.x, pos.y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            this.drawAnnotationText(annotation, pos.x + 6, pos.y - this.fontSize - 6);
+        }
+    }
+    ctx.restore();
+}
+
+/**
+ * Draws the text of an annotation, and records where it is so the text can be
+ * clicked.  The fill color must already be set.
+ * @param {DashGraph.Annotation} annotation The annotation.
+ * @param {Number} xPos The x canvas position of the left of the text.
+ * @param {Number} yPos The y canvas position of the top of the text.
+ */
+DashGraph.Plot.prototype.drawAnnotationText = function(annotation, xPos, yPos) {
+    if (annotation.text === null) {
+        return;
+    }
+    this.ctx.textBaseline = "top";
+    this.ctx.fillText(annotation.text, xPos, yPos);
+    annotation.textBox = {
+        x: xPos,
+        y: yPos,
+        width: this.ctx.measureText(annotation.text).width,
+        height: this.fontSize
+    };
+}
+
+/**
+ * Finds where an annotation is on the canvas, from its data coordinates.
+ * @param {DashGraph.Annotation} annotation The annotation.
+ * @return {Object} Returns the canvas positions as x and y (x and x2 for a
+ *     span, clipped to the plot), or null if it isn't on the plot.
+ */
+DashGraph.Plot.prototype.getAnnotationPos = function(annotation) {
+    var xEnd = this.plotXStart + this.plotWidth;
+    var yEnd = this.plotYStart + this.plotHeight;
+    var x, y, x2, ind, data;
+    if (annotation.type === 'vline') {
+        x = this.getXCanvasPos(annotation.x);
+        return x >= this.plotXStart && x <= xEnd ? {x: x, y: null} : null;
+    } else if (annotation.type === 'hline') {
+        if (annotation.axis === 'right' && !this.hasY2) {
+            return null;
+        }
+        y = this.getYCanvasPos(annotation.y, annotation.axis);
+        return y >= this.plotYStart && y <= yEnd ? {x: null, y: y} : null;
+    } else if (annotation.type === 'span') {
+        x = Math.max(this.getXCanvasPos(annotation.xMin), this.plotXStart);
+        x2 = Math.min(this.getXCanvasPos(annotation.xMax), xEnd);
+        return x2 >= x ? {x: x, x2: x2} : null;
+    }
+    
+    // A point is anchored to the value of a line nearest the x
+    data = annotation.data;
+    ind = data.getNearestIndex(annotation.x);
+    if (ind === -1 || !data.isVisible(annotation.line) || this.data.indexOf(data) === -1) {
+        return null;
+    }
+    x = this.getXCanvasPos(data.x[ind]);
+    y = this.getYCanvasPos(data.getYValue(ind, annotation.line), data.axis);
+    return x >= this.plotXStart && x <= xEnd && y >= this.plotYStart && y <= yEnd ? {x: x, y: y} : null;
+}
+
+/**
+ * Finds the annotation at a canvas position.  The lines, points and text are
+ * checked before the shaded regions, and later annotations before earlier
+ * ones, as they are drawn on top.
+ * @param {Number} xPos The x canvas position.
+ * @param {Number} yPos The y canvas position.
+ * @return {DashGraph.Annotation} Returns the annotation, or null if there is
+ *     none.
+ */
+DashGraph.Plot.prototype.getAnnotationAt = function(xPos, yPos) {
+    var i, annotation, pos, box;
+    var near = 4; // How close in pixels a line or point must be
+    if (xPos < this.plotXStart || xPos > this.plotXStart + this.plotWidth ||
+            yPos < this.plotYStart || yPos > this.plotYStart + this.plotHeight) {
+        return null;
+    }
+    for (i = this.annotations.length-1; i >= 0; i--) {
+        annotation = this.annotations[i];
+        box = annotation.textBox;
+        if (box && xPos >= box.x && xPos <= box.x + box.width && yPos >= box.y && yPos <= box.y + box.height) {
+            return annotation;
+        }
+        if (annotation.type === 'span') {
+            continue;
+        }
+        pos = this.getAnnotationPos(annotation);
+        if (pos === null) {
+            continue;
+        }
+        if ((annotation.type === 'vline' && Math.abs(xPos - pos.x) <= near) ||
+                (annotation.type === 'hline' && Math.abs(yPos - pos.y) <= near) ||
+                (annotation.type === 'point' && Math.abs(xPos - pos.x) <= near + 2 && Math.abs(yPos - pos.y) <= near + 2)) {
+            return annotation;
+        }
+    }
+    for (i = this.annotations.length-1; i >= 0; i--) {
+        annotation = this.annotations[i];
+        if (annotation.type !== 'span') {
+            continue;
+        }
+        pos = this.getAnnotationPos(annotation);
+        if (pos !== null && xPos >= pos.x && xPos <= pos.x2) {
+            return annotation;
+        }
+    }
+    return null;
+}
+
+/**
+ * Records the annotation under the mouse, triggering the annotationhover
+ * event and showing a pointer if it changed.
+ * @param {DashGraph.Annotation} annotation The annotation, or null if the
+ *     mouse isn't over one.
+ */
+DashGraph.Plot.prototype.setAnnotationHovered = function(annotation) {
+    if (annotation === this.annotationHovered) {
+        return;
+    }
+    this.annotationHovered = annotation;
+    this.overlay.style.cursor = annotation !== null ? "pointer" : "";
+    this.trigger('annotationhover', {annotation: annotation});
+}
+
+/**
+ * Draws a crosshair at the data nearest the mouse, with a marker on each
+ * visible line and a readout of the values.
+ * @param {Number} xPos The x canvas position of the mouse.
+ * @param {Number} yPos The y canvas position of the mouse.
+ */
+DashGraph.Plot.prototype.drawHover = function(xPos, yPos) {
+    var j, n, data, ind, xPix, yPix, yVal, row, swatch, text;
+    var xEnd = this.plotXStart + this.plotWidth;
+    var yEnd = this.plotYStart + this.plotHeight;
+    
+    this.clearOverlay();
+    this.readoutNode.style.display = "none";
+    // Only show values when the mouse is over the plot
+    var inPlot = xPos >= this.plotXStart && xPos <= xEnd && yPos >= this.plotYStart && yPos <= yEnd;
+    var mouseX = this.getXPixelPos(xPos);
+    if (this.sync !== null) {
+        this.sync.hover(this, inPlot ? mouseX : null);
+    }
+    if (!inPlot) {
+        this.setHoverX(null, []);
+        return;
+    }
+    var points = this.getNearestPoints(mouseX);
+    if (points.length === 0) {
+        this.setHoverX(null, []);
+        return;
+    }
+    
+    // The crosshair is at the nearest x of all the datasets
+    var xVal = points[0].data.x[points[0].index];
+    for (n = 1; n < points.length; n++) {
+        data = points[n].data;
+        if (Math.abs(data.x[points[n].index] - mouseX) < Math.abs(xVal - mouseX)) {
+            xVal = data.x[points[n].index];
+        }
+    }
+    this.setHoverX(xVal, points);
+    xPix = this.snapToPixel(this.getXCanvasPos(xVal));
+    this.ctxOverlay.strokeStyle = this.theme.crosshairColor;
+    this.ctxOverlay.lineWidth = this.getHairlineWidth();
+    this.ctxOverlay.beginPath();
+    this.ctxOverlay.moveTo(xPix, this.plotYStart);
+    this.ctxOverlay.lineTo(xPix, yEnd);
+    this.ctxOverlay.stroke();
+    
+    // Clear the prior readout, and start it with the x-value
+    while (this.readoutNode.firstChild) {
+        this.readoutNode.removeChild(this.readoutNode.firstChild);
+    }
+    row = this.renderer.createElement("div");
+    row.textContent = "x: " + this.formatValue(xVal, 'x');
+    this.readoutNode.appendChild(row);
+    
+    // Mark each visible line, and add its value to the readout
+    for (n = 0; n < points.length; n++) {
+        data = points[n].data;
+        ind = points[n].index;
+        for (j = 0; j < data.numLines; j++) {
+            if (!data.isVisible(j)) {
+                continue;
+            }
+            yVal = data.getYValue(ind, j);
+            xPix = this.getXCanvasPos(data.x[ind]);
+            yPix = this.getYCanvasPos(yVal, data.axis);
+            this.ctxOverlay.fillStyle = data.getColorAt(ind, j);
+            if (xPix >= this.plotXStart && xPix <= xEnd && yPix >= this.plotYStart && yPix <= yEnd) {
+                this.ctxOverlay.beginPath();
+                this.ctxOverlay.arc(xPix, yPix, 3, 0, 2 * Math.PI);
+                this.ctxOverlay.fill();
+            }
+            
+            row = this.renderer.createElement("div");
+            swatch = this.renderer.createElement("span");
+            swatch.style.display = "inline-block";
+            swatch.style.width = "8px";
+            swatch.style.height = "8px";
+            swatch.style.marginRight = "4px";
+            swatch.style.background = data.getColorAt(ind, j);
+            row.appendChild(swatch);
+            text = this.renderer.createElement("span");
+            text.textContent = (data.getName(j) !== null ? data.getName(j) + ": " : "") +
+                this.formatValue(yVal, data.axis);
+            row.appendChild(text);
+            this.readoutNode.appendChild(row);
+        }
+    }
+    
+    // Place the readout next to the mouse, on the side with more room
+    this.readoutNode.style.display = "block";
+    this.readoutNode.style.top = (this.plotYStart + 4) + "px";
+    if (xPos < this.plotXStart + this.plotWidth/2) {
+        this.readoutNode.style.left = (xPos + 12) + "px";
+        this.readoutNode.style.right = "";
+    } else {
+        this.readoutNode.style.left = "";
+        this.readoutNode.style.right = (this.width - xPos + 12) + "px";
+    }
+}
+
+/**
+ * Hides the hover.
+ */
+DashGraph.Plot.prototype.clearHover = function() {
+    this.clearOverlay();
+    this.readoutNode.style.display = "none";
+    this.setHoverX(null, []);
+}
+
+/**
+ * Records the x-value the hover is showing, triggering the hover event if it
+ * changed.
+ * @param {Number} xVal The x-value, or null if the hover is hidden.
+ * @param {Array} points The nearest points, from getNearestPoints.
+ */
+DashGraph.Plot.prototype.setHoverX = function(xVal, points) {
+    if (xVal === this.hoverX) {
+        return;
+    }
+    this.hoverX = xVal;
+    this.trigger('hover', {x: xVal, points: this.getPointValues(points)});
+}
+
+/**
+ * Adds the values of each visible line to points from getNearestPoints.
+ * @param {Array} points The points.
+ * @return {Array} Returns an object for each point, with data, index, x, and
+ *     y as an array of the value of each visible line (undefined if hidden).
+ */
+DashGraph.Plot.prototype.getPointValues = function(points) {
+    var values = [];
+    var n, j, data, ind, y;
+    for (n = 0; n < points.length; n++) {
+        data = points[n].data;
+        ind = points[n].index;
+        y = [];
+        for (j = 0; j < data.numLines; j++) {
+            y.push(data.isVisible(j) ? data.getYValue(ind, j) : undefined);
+        }
+        values.push({data: data, index: ind, x: data.x[ind], y: y});
+    }
+    return values;
+}
+
+/**
+ * Finds the point nearest an x-value in each dataset.  Each dataset is
+ * searched on its own x-values, since they can be different.
+ * @param {Number} xVal The x-value to search for.
+ * @return {Array} Returns an object for each dataset with data, with the
+ *     dataset as data, and the index of the nearest point as index.
+ */
+DashGraph.Plot.prototype.getNearestPoints = function(xVal) {
+    var points = [];
+    var ind;
+    for (var k = 0; k < this.data.length; k++) {
+        ind = this.data[k].getNearestIndex(xVal);
+        if (ind !== -1) {
+            points.push({data: this.data[k], index: ind});
+        }
+    }
+    return points;
+}
+
+/**
+ * Draws a box over the plot area to represent the zooming
+ */
+DashGraph.Plot.prototype.drawRectZoom = function(xPos, yPos) {
+    // First clear any prior zooming
+    this.clearOverlay();
+    
+    // Draw the rectangle
+    this.ctxOverlay.fillStyle = this.theme.zoomColor;
+    this.ctxOverlay.fillRect(this.xZoomStart, this.yZoomStart, xPos - this.xZoomStart, yPos - this.yZoomStart);
+}
+
+/**
+ * Clears the overlay in the most efficient way possible
+ */
+DashGraph.Plot.prototype.clearOverlay = function() {
+    // TODO: Store the bounding box of objects drawn on the overlay,
+    // so this will be more efficient
+    this.ctxOverlay.clearRect(0, 0, this.width, this.height);
+}
+/**
+ * Helper function to determine the canvas position of the x-point
+ */
+DashGraph.Plot.prototype.getXCanvasPos = function(x) {    
+    if (this.xLog) {
+        return (DashGraph.log10(x) * this.xScale + this.xBias);
+    }
+    return (x * this.xScale + this.xBias);
+}
+
+/**
+ * Helper function to determine the x-value of the x-pixel
+ */
+DashGraph.Plot.prototype.getXPixelPos = function(x) {
+    // TODO: Round this, but for now it looks better without it
+    // | 0 is a faster way to do "Math.floor", so using that instead
+    if (this.xLog) {
+        return Math.pow(10, (x-this.xBias)/this.xScale);
+    }
+    return (x-this.xBias)/this.xScale; // TODO: If this works, set a 1/xScale value
+}
+
+/**
+ * Helper function to determine the canvas position of the y-point
+ * @param {Number} y The y-value.
+ * @param {String} axis The y-axis of the value, as 'left' (default) or 'right'.
+ */
+DashGraph.Plot.prototype.getYCanvasPos = function(y, axis) {
+    if (axis === 'right') {
+        return ((this.y2Log ? DashGraph.log10(y) : y) * this.y2Scale + this.y2Bias);
+    }
+    return ((this.yLog ? DashGraph.log10(y) : y) * this.yScale + this.yBias);
+}
+
+/**
+ * Helper function to determine the y-value of the y-pixel
+ * @param {Number} y The y canvas position.
+ * @param {String} axis The y-axis to use, as 'left' (default) or 'right'.
+ */
+DashGraph.Plot.prototype.getYPixelPos = function(y, axis) {
+    // TODO: Round this, but for now it looks better without it
+    if (axis === 'right') {
+        return this.fromAxisScale((y-this.y2Bias)/this.y2Scale, 'right');
+    }
+    return this.fromAxisScale((y-this.yBias)/this.yScale, 'left'); // TODO: If this works, set a 1/yScale value
+}
+
+/**
+ * Calculate the ticks given a min and max value
+ */
+DashGraph.Plot.prototype.getTicks = function(minVal, maxVal, pixels) {
+    var mults = [.5,1,2,5]; // The possible multiples for the scale
+    var ticks = [];
+    var scale, low, high, spacing, i, val;
+    
+    // Calculate the approximate power of the input by the LOG10 of it
+    var basePower = Math.floor(Math.log(maxVal-minVal)/Math.LN10);
+    // Get the base scale of the function.
+    
+    // TODO: Make this more efficient.  Can probably remove a lot of these calculations
+    // until after the appropriate multiple is discovered.
+    var baseScale = Math.pow(10, basePower);
+    for (i = 0; i < mults.length; i++) {
+        scale = baseScale * mults[i];
+        low = Math.floor(minVal / scale) * scale;
+        high = Math.ceil(maxVal / scale) * scale;
+        nTicks = Math.abs(high - low) / scale;
+        spacing = pixels / nTicks;
+        if (spacing > this.minTickPixels) break;
+    }
+
+    // Make ticks    
+    for (i = 0; i < nTicks; i++) {
+        // Only add ticks within our region
+        val = low + i * scale;
+        if (val >= minVal && val <= maxVal) {
+            ticks.push(val);
+        }        
+    }
+    return ticks;
+}
+
+/**
+ * Makes ticks for a log axis, at each decade (or every few decades), or at 1,
+ * 2 and 5 times each decade if there is room.  Ranges of less than a decade
+ * use the decimal ticks of getTicks.
+ * @param {Number} minVal The minimum value, above zero.
+ * @param {Number} maxVal The maximum value.
+ * @param {Number} pixels The length of the axis in pixels.
+ * @return {Array} Returns the values of the ticks.
+ */
+DashGraph.Plot.prototype.getLogTicks = function(minVal, maxVal, pixels) {
+    var low = DashGraph.log10(minVal);
+    var high = DashGraph.log10(maxVal);
+    if (high - low < 1) {
+        return this.getTicks(minVal, maxVal, pixels);
+    }
+    var decadePixels = pixels / (high - low);
+    var mults = decadePixels > 3 * this.minTickPixels ? [1, 2, 5] : [1];
+    var step = Math.max(1, Math.ceil(this.minTickPixels / decadePixels));
+    var ticks = [];
+    var i, j, val;
+    for (i = Math.floor(low / step) * step; i <= high; i += step) {
+        for (j = 0; j < mults.length; j++) {
+            val = mults[j] * Math.pow(10, i);
+            if (val >= minVal && val <= maxVal) {
+                ticks.push(val);
+            }
+        }
+    }
+    return ticks;
+}
+
+/**
+ * Makes the minor ticks of a log axis, at 2 to 9 times each decade, if there
+ * is room for them.  They are drawn as a lighter grid, without labels.
+ * @param {Number} minVal The minimum value, above zero.
+ * @param {Number} maxVal The maximum value.
+ * @param {Number} pixels The length of the axis in pixels.
+ * @return {Array} Returns the values of the ticks.
+ */
+DashGraph.Plot.prototype.getLogMinorTicks = function(minVal, maxVal, pixels) {
+    var low = DashGraph.log10(minVal);
+    var high = DashGraph.log10(maxVal);
+    var ticks = [];
+    // The closest minor ticks (9 and 10) need a few pixels between them
+    if (high - low < 1 || pixels / (high - low) * (1 - DashGraph.log10(9)) < 4) {
+        return ticks;
+    }
+    var i, j, val;
+    for (i = Math.floor(low); i <= high; i++) {
+        for (j = 2; j <= 9; j++) {
+            val = j * Math.pow(10, i);
+            if (val >= minVal && val <= maxVal) {
+                ticks.push(val);
+            }
+        }
+    }
+    return ticks;
+}
+
+/**
+ * Makes ticks for a time axis, at whole seconds, minutes, hours, days, months
+ * or years, so they are far enough apart for their labels.  Steps less than
+ * a second use the decimal ticks of getTicks.  The step is stored in
+ * xTimeStep, for formatting the labels.
+ * @param {Number} minVal The minimum time, in milliseconds since the epoch.
+ * @param {Number} maxVal The maximum time, in milliseconds since the epoch.
+ * @param {Number} pixels The length of the axis in pixels.
+ * @return {Array} Returns the times of the ticks.
+ */
+DashGraph.Plot.prototype.getTimeTicks = function(minVal, maxVal, pixels) {
+    var steps = DashGraph.timeSteps;
+    var step = null;
+    var mults = [1, 2, 5];
+    var i, spacing, minSpacing, years, base;
+    for (i = 0; i < steps.length; i++) {
+        // Leave room for the labels at this step, which can be wider than
+        // minTickPixels
+        this.xTimeStep = steps[i];
+        minSpacing = Math.max(this.minTickPixels,
+            this.getMaxLabelWidth([minVal, maxVal], 'x') + 2 * this.labelPadding);
+        spacing = pixels * steps[i].ms / (maxVal - minVal);
+        if (spacing > minSpacing) {
+            step = steps[i];
+            break;
+        }
+    }
+    
+    if (step === null) {
+        // Use a decimal number of years, past the largest step
+        years = (maxVal - minVal) / DashGraph.yearMs * minSpacing / pixels;
+        base = Math.pow(10, Math.floor(Math.log(years)/Math.LN10));
+        step = {unit: 'year', count: base * 10, ms: base * 10 * DashGraph.yearMs};
+        for (i = 0; i < mults.length; i++) {
+            if (base * mults[i] >= years) {
+                step = {unit: 'year', count: base * mults[i], ms: base * mults[i] * DashGraph.yearMs};
+                break;
+            }
+        }
+    } else if (i === 0 && spacing / 2 > minSpacing) {
+        // Fractions of a second fit, so use decimal ticks.  The pixels are
+        // scaled so getTicks leaves room for the longer labels.
+        this.xTimeStep = {unit: 'millisecond', count: 1, ms: 1};
+        minSpacing = Math.max(this.minTickPixels,
+            this.getMaxLabelWidth([minVal, maxVal], 'x') + 2 * this.labelPadding);
+        return this.getTicks(minVal, maxVal, pixels * this.minTickPixels / minSpacing);
+    }
+    this.xTimeStep = step;
+    
+    var ticks = [];
+    var t = DashGraph.floorTime(minVal, step, this.utc);
+    var next;
+    // Limit the ticks, in case the range is bad
+    while (t <= maxVal && ticks.length < 1000) {
+        // Flooring after the step realigns days and months that don't divide
+        // evenly into the next month or year
+        next = DashGraph.floorTime(DashGraph.addTime(t, step, this.utc), step, this.utc);
+        // Skip ticks that are crowded by the realigned tick after them, like
+        // the 29th before the 1st
+        if (t >= minVal && next - t > step.ms / 2) {
+            ticks.push(t);
+        }
+        t = next;
+    }
+    return ticks;
+}
+
+/**
+ * Grabs a unique color from the plots colors.
+ */
+DashGraph.Plot.prototype.getColor = function () {
+    if (this.colorInd === this.plotColors.length) {
+        this.colorInd = 0;
+    }
+    return this.plotColors[this.colorInd++];
+}
+
+/**
+ * Links the x-axes of several plots, so zooming or panning one zooms the
+ * others, and the hover follows the mouse on all of them.
+ * @param {Object} opts The options, with y to also link the y-axes, and hover
+ *     (default true) to link the hover.
+ */
+DashGraph.Sync = function(opts) {
+    if (opts === undefined) {
+        opts = {};
+    }
+    this.syncY = opts.y ? opts.y : false; // If the y-axes are linked too
+    this.syncHover = opts.hover !== false; // If the hover is shown on all the plots
+    this.plots = [];
+    this.updating = false; // If a change is being passed on, so it isn't passed back
+}
+
+/**
+ * Links a plot to the others.  A plot can only be in one Sync.
+ * @param {DashGraph.Plot} plot The plot to add.
+ */
+DashGraph.Sync.prototype.add = function(plot) {
+    if (plot.sync !== null) {
+        plot.sync.remove(plot);
+    }
+    plot.sync = this;
+    this.plots.push(plot);
+}
+
+/**
+ * Unlinks a plot from the others.
+ * @param {DashGraph.Plot} plot The plot to remove.
+ */
+DashGraph.Sync.prototype.remove = function(plot) {
+    var ind = this.plots.indexOf(plot);
+    if (ind !== -1) {
+        this.plots.splice(ind, 1);
+        plot.sync = null;
+    }
+}
+
+/**
+ * Passes the zoom of a plot on to the others.
+ * @param {DashGraph.Plot} source The plot that was zoomed.
+ * @param {bool} record If the zoom is recorded in the zoom history of the
+ *     others.  Otherwise they are just rendered, as the zoom is still changing.
+ */
+DashGraph.Sync.prototype.zoom = function(source, record) {
+    if (this.updating) {
+        return;
+    }
+    this.updating = true;
+    var zoom = {xMin: source.zoom.xMin, xMax: source.zoom.xMax};
+    if (this.syncY) {
+        zoom.yMin = source.zoom.yMin;
+        zoom.yMax = source.zoom.yMax;
+        zoom.y2Min = source.zoom.y2Min;
+        zoom.y2Max = source.zoom.y2Max;
+    }
+    var plot, key;
+    for (var i = 0; i < this.plots.length; i++) {
+        plot = this.plots[i];
+        if (plot === source) {
+            continue;
+        }
+        if (record) {
+            plot.zoomTo(zoom, 'sync');
+        } else {
+            for (key in zoom) {
+                plot.zoom[key] = zoom[key];
+            }
+            plot.render();
+        }
+    }
+    this.updating = false;
+}
+
+/**
+ * Shows the hover of a plot on the others.
+ * @param {DashGraph.Plot} source The plot the mouse is over.
+ * @param {Number} xVal The x-value the mouse is at, or null if the mouse left
+ *     the plot.
+ */
+DashGraph.Sync.prototype.hover = function(source, xVal) {
+    if (this.updating || !this.syncHover) {
+        return;
+    }
+    this.updating = true;
+    var plot;
+    for (var i = 0; i < this.plots.length; i++) {
+        plot = this.plots[i];
+        if (plot === source || !plot.showHover) {
+            continue;
+        }
+        if (xVal === null) {
+            plot.clearHover();
+        } else {
+            plot.drawHover(plot.getXCanvasPos(xVal), plot.plotYStart);
+        }
+    }
+    this.updating = false;
+}
+
+/**
+ * An annotation of a plot, such as an event, an alarm or a spec limit.  Its
+ * position is in data coordinates, so it moves with the data as the plot is
+ * zoomed.  Add it to a plot with addAnnotation.
+ * @param {Object} opts The options, as listed below:
+ *     type: The kind of annotation, as 'vline' (a vertical line at x),
+ *         'hline' (a horizontal line at y), 'span' (a shaded region from xMin
+ *         to xMax) or 'point' (a marker on a line of data, nearest x).
+ *     x: The x-value of a vline or point.
+ *     y: The y-value of an hline.
+ *     axis: The y-axis of an hline, as 'left' (the default) or 'right'.
+ *     xMin, xMax: The x-range of a span.
+ *     data: The DashGraph.Data a point is on.
+ *     line: The line (column) of the data a point is on.  Defaults to 0.
+ *     text: The text shown next to the annotation, or null for none.
+ *     color: The color, or null (the default) to use the theme's.
+ *     lineWidth: The width of a vline or hline.  Defaults to 1.
+ *     lineDash: The dash pattern of a vline or hline, as for setLineDash.
+ */
+DashGraph.Annotation = function(opts) {
+    if (opts === undefined) {
+        opts = {};
+    }
+    this.type = opts.type;
+    if (['vline', 'hline', 'span', 'point'].indexOf(this.type) === -1) {
+        throw new Error("DashGraph.Annotation: unknown type " + this.type);
+    }
+    if (this.type === 'point' && !opts.data) {
+        throw new Error("DashGraph.Annotation: a point needs data");
+    }
+    this.x = opts.x !== undefined ? opts.x : null;
+    this.y = opts.y !== undefined ? opts.y : null;
+    this.axis = opts.axis ? opts.axis : 'left';
+    this.xMin = opts.xMin !== undefined ? opts.xMin : null;
+    this.xMax = opts.xMax !== undefined ? opts.xMax : null;
+    this.data = opts.data ? opts.data : null;
+    this.line = opts.line ? opts.line : 0;
+    this.text = opts.text !== undefined ? opts.text : null;
+    this.color = opts.color ? opts.color : null; // The color (null uses the theme)
+    this.lineWidth = opts.lineWidth ? opts.lineWidth : 1;
+    this.lineDash = opts.lineDash ? opts.lineDash : [];
+    this.textBox = null; // Where the text was last drawn, so it can be clicked
+}
+
+/**
+ * Creates the elements a plot is drawn in, as the elements and canvases of the
+ * page.  This is the default renderer.
+ *
+ * A renderer has createElement(tag), for the divs of the labels, titles,
+ * legend and readout, and createCanvas(), for the plot and its overlay.  It
+ * can also have getPixelRatio(), the number of canvas pixels for each CSS
+ * pixel, which is 1 if it is left out.  The plot only draws to the canvases
+ * through the parts of the canvas 2D context that DashGraph.SVGContext has.
+ */
+DashGraph.CanvasRenderer = function() {
+}
+
+/**
+ * Creates an element of the page.
+ * @param {String} tag The tag of the element, such as "div".
+ */
+DashGraph.CanvasRenderer.prototype.createElement = function(tag) {
+    return document.createElement(tag);
+}
+
+/**
+ * Creates a canvas of the page.
+ */
+DashGraph.CanvasRenderer.prototype.createCanvas = function() {
+    return document.createElement("canvas");
+}
+
+/**
+ * Returns the number of screen pixels for each CSS pixel.
+ */
+DashGraph.CanvasRenderer.prototype.getPixelRatio = function() {
+    return typeof window !== 'undefined' && window.devicePixelRatio ? window.devicePixelRatio : 1;
+}
+
+/**
+ * Creates the elements a plot is drawn in without a browser, so plots can be
+ * made in Node.  The canvases draw to DashGraph.SVGContexts, and the other
+ * elements are DashGraph.VirtualNodes.  Export the plot with toSVG.
+ */
+DashGraph.SVGRenderer = function() {
+}
+
+/**
+ * Creates an element that holds its style and children, but is not shown.
+ * @param {String} tag The tag of the element, such as "div".
+ */
+DashGraph.SVGRenderer.prototype.createElement = function(tag) {
+    return new DashGraph.VirtualNode(tag);
+}
+
+/**
+ * Creates a canvas, whose context records drawing as SVG.
+ */
+DashGraph.SVGRenderer.prototype.createCanvas = function() {
+    var canvas = new DashGraph.VirtualNode("canvas");
+    var ctx = null;
+    canvas.getContext = function() {
+        // The context is made once the canvas has been sized, and made again
+        // if it is resized, which clears a canvas
+        if (ctx === null || ctx.width !== canvas.width || ctx.height !== canvas.height) {
+            ctx = new DashGraph.SVGContext(canvas.width, canvas.height);
+        }
+        return ctx;
+    }
+    return canvas;
+}
+
+/**
+ * Returns 1, as SVG is drawn at any resolution.
+ */
+DashGraph.SVGRenderer.prototype.getPixelRatio = function() {
+    return 1;
+}
+
+/**
+ * An element that stands in for a page element without a browser.  It has the
+ * parts of an element that the plot uses.
+ * @param {String} tag The tag of the element.
+ */
+DashGraph.VirtualNode = function(tag) {
+    this.tagName = tag.toUpperCase();
+    this.style = {};
+    this.attributes = {};
+    this.children = [];
+    this.firstChild = null;
+    this.parentNode = null;
+    this.textContent = "";
+}
+
+/**
+ * Adds a child to the end of the element, removing it from its old parent.
+ * @param {DashGraph.VirtualNode} child The child to add.
+ * @return {DashGraph.VirtualNode} Returns the child.
+ */
+DashGraph.VirtualNode.prototype.appendChild = function(child) {
+    if (child.parentNode) {
+        child.parentNode.removeChild(child);
+    }
+    this.children.push(child);
+    this.firstChild = this.children[0];
+    child.parentNode = this;
+    return child;
+}
+
+/**
+ * Removes a child of the element.
+ * @param {DashGraph.VirtualNode} child The child to remove.
+ * @return {DashGraph.VirtualNode} Returns the child.
+ */
+DashGraph.VirtualNode.prototype.removeChild = function(child) {
+    var ind = this.children.indexOf(child);
+    if (ind !== -1) {
+        this.children.splice(ind, 1);
+    }
+    this.firstChild = this.children.length > 0 ? this.children[0] : null;
+    child.parentNode = null;
+    return child;
+}
+
+/**
+ * Sets an attribute of the element.
+ */
+DashGraph.VirtualNode.prototype.setAttribute = function(name, value) {
+    this.attributes[name] = String(value);
+}
+
+/**
+ * Returns an attribute of the element, or null if it isn't set.
+ */
+DashGraph.VirtualNode.prototype.getAttribute = function(name) {
+    return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+}
+
+/**
+ * Does nothing, as there is nothing to focus without a browser.
+ */
+DashGraph.VirtualNode.prototype.focus = function() {
+}
+
+/**
+ * A context that records drawing as SVG, for exporting a plot.  It has the
+ * parts of the canvas 2D context that the plot uses, so the plot can be
+ * rendered to it as it would be to a canvas.
+ * @param {uint} width The width of the image.
+ * @param {uint} height The height of the image.
+ * @param {Object} measure A canvas context to measure text with.  If left
+ *     out, text is measured with an estimate of the width of each character.
+ */
+DashGraph.SVGContext = function(width, height, measure) {
+    this.width = width;
+    this.height = height;
+    this.measure = measure ? measure : null;
+    this.elements = []; // The SVG of everything drawn, in order
+    this.defs = []; // The SVG of the clip paths
+    this.path = ""; // The current path
+    this.hasPoint = false; // If the current path has a point to draw from
+    this.states = []; // The states stored by save
+    
+    // The drawing state, which is kept by save and restore
+    this.strokeStyle = "#000000";
+    this.fillStyle = "#000000";
+    this.lineWidth = 1;
+    this.globalAlpha = 1;
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.textBaseline = "alphabetic";
+    this.lineDash = [];
+    this.clipId = null; // The id of the clip path in use
+    this.transform = [1, 0, 0, 1, 0, 0]; // The transform, as for setTransform
+}
+
+/**
+ * The names of the state saved by save.
+ */
+DashGraph.SVGContext.stateKeys = ["strokeStyle", "fillStyle", "lineWidth", "globalAlpha", "font",
+    "textAlign", "textBaseline", "lineDash", "clipId", "transform"];
+
+/**
+ * Saves the drawing state.
+ */
+DashGraph.SVGContext.prototype.save = function() {
+    var state = {};
+    var keys = DashGraph.SVGContext.stateKeys;
+    for (var i = 0; i < keys.length; i++) {
+        state[keys[i]] = this[keys[i]];
+    }
+    this.states.push(state);
+}
+
+/**
+ * Restores the drawing state saved by save.
+ */
+DashGraph.SVGContext.prototype.restore = function() {
+    var state = this.states.pop();
+    if (state === undefined) {
+        return;
+    }
+    for (var key in state) {
+        this[key] = state[key];
+    }
+}
+
+/**
+ * Sets the dash pattern of stroked lines.
+ * @param {Array} dash The lengths of the dashes and gaps.
+ */
+DashGraph.SVGContext.prototype.setLineDash = function(dash) {
+    this.lineDash = dash.slice();
+}
+
+/**
+ * Returns the dash pattern of stroked lines.
+ */
+DashGraph.SVGContext.prototype.getLineDash = function() {
+    return this.lineDash.slice();
+}
+
+/**
+ * Adds a transform to the current one.
+ */
+DashGraph.SVGContext.prototype.multiplyTransform = function(a, b, c, d, e, f) {
+    var t = this.transform;
+    this.transform = [
+        t[0] * a + t[2] * b, t[1] * a + t[3] * b,
+        t[0] * c + t[2] * d, t[1] * c + t[3] * d,
+        t[0] * e + t[2] * f + t[4], t[1] * e + t[3] * f + t[5]
+    ];
+}
+
+/**
+ * Replaces the transform, as for the canvas.
+ */
+DashGraph.SVGContext.prototype.setTransform = function(a, b, c, d, e, f) {
+    this.transform = [a, b, c, d, e, f];
+}
+
+/**
+ * Scales later drawing.
+ */
+DashGraph.SVGContext.prototype.scale = function(x, y) {
+    this.multiplyTransform(x, 0, 0, y, 0, 0);
+}
+
+/**
+ * Moves the origin of later drawing.
+ */
+DashGraph.SVGContext.prototype.translate = function(x, y) {
+    this.multiplyTransform(1, 0, 0, 1, x, y);
+}
+
+/**
+ * Rotates later drawing about the origin, by an angle in radians.
+ */
+DashGraph.SVGContext.prototype.rotate = function(angle) {
+    var cos = Math.cos(angle), sin = Math.sin(angle);
+    this.multiplyTransform(cos, sin, -sin, cos, 0, 0);
+}
+
+/**
+ * Starts a new path.
+ */
+DashGraph.SVGContext.prototype.beginPath = function() {
+    this.path = "";
+    this.hasPoint = false;
+}
+
+/**
+ * Starts a new part of the path at a point.
+ */
+DashGraph.SVGContext.prototype.moveTo = function(x, y) {
+    this.path += "M" + DashGraph.svgNumber(x) + " " + DashGraph.svgNumber(y);
+    this.hasPoint = true;
+}
+
+/**
+ * Adds a line to a point to the path.
+ */
+DashGraph.SVGContext.prototype.lineTo = function(x, y) {
+    this.path += (this.hasPoint ? "L" : "M") + DashGraph.svgNumber(x) + " " + DashGraph.svgNumber(y);
+    this.hasPoint = true;
+}
+
+/**
+ * Closes the current part of the path.
+ */
+DashGraph.SVGContext.prototype.closePath = function() {
+    this.path += "Z";
+}
+
+/**
+ * Adds a rectangle to the path.
+ */
+DashGraph.SVGContext.prototype.rect = function(x, y, width, height) {
+    this.moveTo(x, y);
+    this.path += "h" + DashGraph.svgNumber(width) + "v" + DashGraph.svgNumber(height) +
+        "h" + DashGraph.svgNumber(-width) + "Z";
+}
+
+/**
+ * Adds an arc to the path, as for the canvas.  A line is drawn to its start
+ * from the last point of the path.
+ */
+DashGraph.SVGContext.prototype.arc = function(x, y, radius, startAngle, endAngle, ccw) {
+    var r = DashGraph.svgNumber(radius);
+    var span = ccw ? startAngle - endAngle : endAngle - startAngle;
+    this.lineTo(x + radius * Math.cos(startAngle), y + radius * Math.sin(startAngle));
+    if (span >= 2 * Math.PI) {
+        // A full circle is drawn as two halves, as one arc can't end where
+        // it starts
+        this.path += "A" + r + " " + r + " 0 0 1 " + DashGraph.svgNumber(x - radius * Math.cos(startAngle)) +
+            " " + DashGraph.svgNumber(y - radius * Math.sin(startAngle));
+        this.path += "A" + r + " " + r + " 0 0 1 " + DashGraph.svgNumber(x + radius * Math.cos(startAngle)) +
+            " " + DashGraph.svgNumber(y + radius * Math.sin(startAngle));
+        return;
+    }
+    span = ((span % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    this.path += "A" + r + " " + r + " 0 " + (span > Math.PI ? 1 : 0) + " " + (ccw ? 0 : 1) + " " +
+        DashGraph.svgNumber(x + radius * Math.cos(endAngle)) + " " + DashGraph.svgNumber(y + radius * Math.sin(endAngle));
+}
+
+/**
+ * Returns the attributes shared by every element: the opacity, clip path and
+ * transform.
+ */
+DashGraph.SVGContext.prototype.getCommonAttributes = function() {
+    var attrs = "";
+    if (this.globalAlpha !== 1) {
+        attrs += ' opacity="' + this.globalAlpha + '"';
+    }
+    if (this.clipId !== null) {
+        attrs += ' clip-path="url(#' + this.clipId + ')"';
+    }
+    if (this.transform.join() !== "1,0,0,1,0,0") {
+        attrs += ' transform="matrix(' + this.transform.map(DashGraph.svgNumber).join(" ") + ')"';
+    }
+    return attrs;
+}
+
+/**
+ * Draws the outline of the current path.
+ */
+DashGraph.SVGContext.prototype.stroke = function() {
+    if (this.path === "") {
+        return;
+    }
+    var attrs = ' fill="none" stroke="' + DashGraph.escapeXML(this.strokeStyle) +
+        '" stroke-width="' + this.lineWidth + '"';
+    if (this.lineDash.length > 0) {
+        attrs += ' stroke-dasharray="' + this.lineDash.join(" ") + '"';
+    }
+    this.elements.push('<path d="' + this.path + '"' + attrs + this.getCommonAttributes() + '/>');
+}
+
+/**
+ * Fills the current path.
+ */
+DashGraph.SVGContext.prototype.fill = function() {
+    if (this.path === "") {
+        return;
+    }
+    this.elements.push('<path d="' + this.path + '" fill="' + DashGraph.escapeXML(this.fillStyle) + '"' +
+        this.getCommonAttributes() + '/>');
+}
+
+/**
+ * Limits later drawing to the current path, until the state is restored.
+ */
+DashGraph.SVGContext.prototype.clip = function() {
+    var id = "clip" + this.defs.length;
+    var transform = this.transform.join() !== "1,0,0,1,0,0" ?
+        ' transform="matrix(' + this.transform.map(DashGraph.svgNumber).join(" ") + ')"' : "";
+    this.defs.push('<clipPath id="' + id + '"><path d="' + this.path + '"' + transform + '/></clipPath>');
+    this.clipId = id;
+}
+
+/**
+ * Clears the image.  Only clearing all of it is supported, which removes
+ * everything drawn, along with the clip paths that are no longer in use.
+ */
+DashGraph.SVGContext.prototype.clearRect = function(x, y, width, height) {
+    if (!(x <= 0 && y <= 0 && x + width >= this.width && y + height >= this.height)) {
+        return;
+    }
+    this.elements = [];
+    // A clip in use (or saved to restore) still needs its path
+    var inUse = this.clipId !== null;
+    for (var i = 0; i < this.states.length; i++) {
+        inUse = inUse || this.states[i].clipId !== null;
+    }
+    if (!inUse) {
+        this.defs = [];
+    }
+}
+
+/**
+ * Fills a rectangle.
+ */
+DashGraph.SVGContext.prototype.fillRect = function(x, y, width, height) {
+    this.elements.push('<rect x="' + DashGraph.svgNumber(x) + '" y="' + DashGraph.svgNumber(y) +
+        '" width="' + DashGraph.svgNumber(width) + '" height="' + DashGraph.svgNumber(height) +
+        '" fill="' + DashGraph.escapeXML(this.fillStyle) + '"' + this.getCommonAttributes() + '/>');
+}
+
+/**
+ * Draws the outline of a rectangle, without changing the current path.
+ */
+DashGraph.SVGContext.prototype.strokeRect = function(x, y, width, height) {
+    var path = this.path;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.stroke();
+    this.path = path;
+}
+
+/**
+ * Draws text, using the font, textAlign and textBaseline.
+ */
+DashGraph.SVGContext.prototype.fillText = function(text, x, y) {
+    var font = DashGraph.parseFont(this.font);
+    var anchor = {center: "middle", right: "end", end: "end"}[this.textAlign];
+    var baseline = {top: "text-before-edge", hanging: "hanging", middle: "central",
+        bottom: "text-after-edge"}[this.textBaseline];
+    var attrs = ' x="' + DashGraph.svgNumber(x) + '" y="' + DashGraph.svgNumber(y) +
+        '" font-family="' + DashGraph.escapeXML(font.family) + '" font-size="' + font.size + '"';
+    if (font.weight !== "normal") {
+        attrs += ' font-weight="' + font.weight + '"';
+    }
+    if (anchor) {
+        attrs += ' text-anchor="' + anchor + '"';
+    }
+    if (baseline) {
+        attrs += ' dominant-baseline="' + baseline + '"';
+    }
+    this.elements.push('<text' + attrs + ' fill="' + DashGraph.escapeXML(this.fillStyle) + '"' +
+        this.getCommonAttributes() + '>' + DashGraph.escapeXML(String(text)) + '</text>');
+}
+
+/**
+ * Measures text in the current font.
+ * @return {Object} Returns the measurements, with width.
+ */
+DashGraph.SVGContext.prototype.measureText = function(text) {
+    if (this.measure !== null) {
+        this.measure.font = this.font;
+        return this.measure.measureText(text);
+    }
+    // Without a canvas, assume an average character is 0.6 em wide
+    return {width: String(text).length * DashGraph.parseFont(this.font).size * .6};
+}
+
+/**
+ * Returns the SVG document of everything drawn.
+ */
+DashGraph.SVGContext.prototype.toString = function() {
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="' + this.width + '" height="' + this.height +
+        '" viewBox="0 0 ' + this.width + ' ' + this.height + '">' +
+        (this.defs.length > 0 ? '<defs>' + this.defs.join("") + '</defs>' : "") +
+        this.elements.join("") + '</svg>';
+}
+
+/**
+ * Rounds a number for SVG, to keep the document small.
  */
-DashGraph.Plot.prototype.clearZoom = function() {
-    this.zoom.xMin= null;
-    this.zoom.xMax = null;
-    this.zoom.yMin = null;
-    this.zoom.yMax = null;
+DashGraph.svgNumber = function(val) {
+    return Math.round(val * 100) / 100;
 }
+
 /**
- * Record the position the mouse was pressed at
+ * Escapes text for use in XML.
  */
-DashGraph.Plot.prototype.onmousedown = function(e) {
-    // TODO: Support multiple zoom types (box, horizontal, etc.)
-    // For now, only support x-zooming
-    this.xZoomStart = this.eventToCanvasX(e);
-    this.yZoomStart = this.eventToCanvasY(e);
-    this.zooming = true;
-    // Prevents the mouse drag from selecting page text
-    if (e.preventDefault) {
-        e.preventDefault();  // Firefox, Chrome, etc.
-    } else {
-        e.returnValue = false;  // IE
-        e.cancelBubble = true;
-    }
+DashGraph.escapeXML = function(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
 }
 
 /**
- * Record the position the mouse was pressed at
+ * Splits a CSS font, as used by the canvas, into its parts.
+ * @param {String} font The font, such as "bold 16px sans-serif".
+ * @return {Object} Returns the weight, size (in pixels) and family.
  */
-DashGraph.Plot.prototype.onmouseup = function(e) {
-    // Don't do anything if we aren't zooming
-    if (this.zooming) {
-        this.zooming = false;
-        // Do an x-zoom if its an x zoom
-        if (this.xZooming) {
-            this.xZooming = false;
-            var xPos = this.eventToCanvasX(e);
-            // Call render with the new values
-            if (xPos > this.xZoomStart) {
-                this.zoom.xMin = this.getXPixelPos(this.xZoomStart);
-                this.zoom.xMax = this.getXPixelPos(xPos);
-            } else if (xPos < this.xZoomStart) {
-                this.zoom.xMin = this.getXPixelPos(xPos);
-                this.zoom.xMax = this.getXPixelPos(this.xZoomStart);
-            }
-            this.render();
-        } else if (this.yZooming) {
-            this.yZooming = false;
-            var yPos = this.eventToCanvasY(e);
-            // Call render with the new values
-            if (yPos > this.yZoomStart) {
-                this.zoom.yMax = this.getYPixelPos(this.yZoomStart);
-                this.zoom.yMin = this.getYPixelPos(yPos);
-            } else if (yPos < this.yZoomStart) {
-                this.zoom.yMax = this.getYPixelPos(yPos);
-                this.zoom.yMin = this.getYPixelPos(this.yZoomStart);
-            }
-            this.render();
-        }        
-    }    
+DashGraph.parseFont = function(font) {
+    var match = /^\s*(?:(\w+)\s+)?(\d+(?:\.\d+)?)px\s+(.*)$/.exec(font);
+    if (!match) {
+        return {weight: "normal", size: 10, family: "sans-serif"};
+    }
+    return {weight: match[1] ? match[1] : "normal", size: Number(match[2]), family: match[3]};
 }
 
 /**
- * Record the position the mouse was pressed at
+ * Binary search for a value.
  */
-DashGraph.Plot.prototype.onmousemove = function(e) {    
-    // Ensure we are zooming
-    if (this.zooming) {
-        var xPos = this.eventToCanvasX(e);
-        var yPos = this.eventToCanvasY(e);
-        // Check the distances the mouse has moved
-        var xDist = Math.abs(xPos - this.xZoomStart);
-        var yDist = Math.abs(yPos - this.yZoomStart);
-        if (xDist > yDist && xDist > 1) {
-            this.xZooming = true;
-            this.yZooming = false;
-            // If the box is extending into the x-tick area, stop it
-            if (xPos < this.plotXStart) {
-                xPos = this.plotXStart;
-            }
-            // Draw the bounding box in the overlay
-            this.drawXZoom(xPos);
-        } else if (yDist > xDist && yDist > 1) {
-            this.xZooming = false;
-            this.yZooming = true;
-            // If the box is extending into the x-tick area, stop it
-            if (yPos > this.plotHeight) {
-                yPos = this.plotHeight;
-            }
-            // Draw the bounding box in the overlay
-            this.drawYZoom(yPos);
+DashGraph.binarySearch = function(a, x, upper) {
+    var lo = 0, hi = a.length - 1;
+    while(hi - lo > 1) {
+        var mid = Math.round((lo + hi) / 2);
+        if(a[mid] <= x) {
+            lo = mid;
+        } else {
+            hi = mid;
         }
     }
+    if (upper) {
+        return hi;
+    } else {
+        return lo;
+    }
 }
 
 /**
- * Record the position the mouse was pressed at
+ * Finds the segment a value is in, given the increasing values each segment
+ * starts at.  Values before the first start are in the first segment.
+ * @param {Array} starts The values each segment starts at.
+ * @param {Number} val The value to find.
+ * @return {uint} Returns the index of the segment.
  */
-DashGraph.Plot.prototype.ondblclick = function(e) {
-    // Zoom out
-    // TODO: Add checks for if we are already zoomed out
-    this.clearZoom();
-    this.render();
+DashGraph.findSegment = function(starts, val) {
+    if (val >= starts[starts.length-1]) {
+        return starts.length-1;
+    }
+    return DashGraph.binarySearch(starts, val);
 }
 
 /**
- * Deal with the mouse exiting the object
+ * Copies a zoom, so it can be stored and changed separately.
  */
-DashGraph.Plot.prototype.onmouseout = function(e) {
-    this.clearOverlay();
-    this.zooming = false;
-    this.xZooming = false;
-    this.yZooming = false;
-    this.rectZooming = false;
+DashGraph.copyZoom = function(zoom) {
+    return {
+        xMin: zoom.xMin,
+        xMax: zoom.xMax,
+        yMin: zoom.yMin,
+        yMax: zoom.yMax,
+        y2Min: zoom.y2Min,
+        y2Max: zoom.y2Max
+    };
 }
 
 /**
- * Helper function to return the mouse coordinates relative to the canvas
- * Taken from http://www.quirksmode.org/js/events_properties.html
+ * Returns if two zooms have the same ranges.
  */
-DashGraph.Plot.prototype.eventToCanvasX = function(e) {
-    // OffsetX is exactly what we want, and supported on some browsers
-    if (e.offsetX) {
-        return e.offsetX;
-    }
-    // For others, we have to calculate it
-    // Grab the pageX (supported on some browsers, not others)
-    var posx = 0;
-    if (!e) var e = window.event;
-    if (e.pageX )     {
-        posx = e.pageX;
-    }
-    else if (e.clientX )    {
-        posx = e.clientX + document.body.scrollLeft
-            + document.documentElement.scrollLeft;
+DashGraph.zoomEquals = function(zoom1, zoom2) {
+    for (var key in zoom1) {
+        if (zoom1[key] !== zoom2[key]) {
+            return false;
+        }
     }
-    
-    // Subtract from the x-position of the canvas in the document
-    return posx - DashGraph.findPosX(this.canvas);    
+    return true;
 }
 
 /**
- * Helper function to return the mouse coordinates relative to the canvas
- * Taken from http://www.quirksmode.org/js/events_properties.html
+ * Rounds to the specified number of digits, at max.
  */
-DashGraph.Plot.prototype.eventToCanvasY = function(e) {
-    // OffsetY is exactly what we want, and supported on some browsers
-    if (e.offsetY) {
-        return e.offsetY;
-    }
-    // For others, we have to calculate it
-    // Grab the pageX (supported on some browsers, not others)
-    var posy = 0;
-    if (!e) var e = window.event;
-    if (e.pageY)     {
-        posy = e.pageY;
+DashGraph.roundToString = function(val, precision) {   
+    return DashGraph.trimZeros(val.toFixed(precision));
+}
+
+/**
+ * Removes the trailing zeros after the decimal point of a number, and the
+ * point if nothing is left after it.  Zeros before the point are kept, and
+ * negative zero becomes 0.
+ * @param {String} str The number, as from toFixed.
+ * @return {String} Returns the trimmed number.
+ */
+DashGraph.trimZeros = function(str) {
+    if (str.indexOf('.') !== -1 && str.indexOf('e') === -1) {
+        str = str.replace(/\.?0+$/, '');
     }
-    else if (e.clientY)    {
-        posy = e.clientY + document.body.scrollTop
-            + document.documentElement.scrollTop;
+    return str === "-0" ? "0" : str;
+}
+
+/**
+ * Returns the number of decimals needed to tell apart values a step apart.
+ * @param {Number} step The step.
+ * @return {uint} Returns the number of decimals, up to 20 (the most toFixed
+ *     allows).
+ */
+DashGraph.stepDecimals = function(step) {
+    // Round the log, so steps like 0.1 (which are just under a power of 10)
+    // don't need an extra decimal
+    var decimals = Math.max(-Math.floor(DashGraph.log10(Math.abs(step)) + 1e-9), 0);
+    // Add decimals for steps like 0.25, until the step is a whole number
+    var scaled = Math.abs(step) * Math.pow(10, decimals);
+    while (decimals < 20 && Math.abs(scaled - Math.round(scaled)) > 1e-6 * scaled) {
+        decimals += 1;
+        scaled *= 10;
     }
-    
-    // Subtract from the x-position of the canvas in the document
-    return posy - DashGraph.findPosY(this.canvas);    
+    return Math.min(decimals, 20);
 }
 
 /**
- * Draws a box over the plot area to represent the zooming
+ * The built-in formatters for axis values, which are used with the
+ * xTickFormatter, yTickFormatter and y2TickFormatter options, either by name
+ * or by calling them.  Each takes the unit to show after the values (if any),
+ * and returns a function of the value and the step between the ticks.  The
+ * step is null for values that aren't ticks, like the readout, which are
+ * shown to 4 significant digits.
  */
-DashGraph.Plot.prototype.drawXZoom = function(xPos) {
-    // First clear any prior zooming
-    this.clearOverlay();
+DashGraph.formatters = {
+    /**
+     * Fixed decimals, or scientific notation for values too small or large to
+     * show that way (steps needing more than 6 decimals, or values from
+     * 1e15).  This is the default.
+     */
+    auto: function(unit) {
+        var fixed = DashGraph.formatters.fixed(unit);
+        var scientific = DashGraph.formatters.scientific(unit);
+        return function(val, step) {
+            var mag = Math.abs(val);
+            var tiny;
+            if (step === null || step === undefined || step === 0) {
+                tiny = mag !== 0 && mag < 1e-6;
+            } else {
+                // Every tick uses the same notation
+                tiny = DashGraph.stepDecimals(step) > 6;
+                mag = Math.max(mag, Math.abs(step));
+            }
+            if (tiny || mag >= 1e15) {
+                return scientific(val, step);
+            }
+            return fixed(val, step);
+        }
+    },
     
-    // Draw the rectangle
-    this.ctxOverlay.fillStyle = "rgba(128,128,128,0.33)";
-    this.ctxOverlay.fillRect(this.xZoomStart,this.plotYStart, xPos - this.xZoomStart, this.plotHeight);
+    /**
+     * Fixed decimals, with as many as the step between the ticks needs
+     * (100, 0.25, 0.003).
+     */
+    fixed: function(unit) {
+        var suffix = unit ? " " + unit : "";
+        return function(val, step) {
+            if (step === null || step === undefined || step === 0) {
+                return DashGraph.trimZeros(Number(val.toPrecision(4)).toFixed(
+                    Math.min(Math.max(3 - Math.floor(DashGraph.log10(Math.abs(val))), 0), 20))) + suffix;
+            }
+            return DashGraph.trimZeros(val.toFixed(DashGraph.stepDecimals(step))) + suffix;
+        }
+    },
+    
+    /**
+     * SI prefixes, from yocto (y) to yotta (Y), like 1.2k or 350µ.
+     */
+    si: function(unit) {
+        var prefixes = ["y", "z", "a", "f", "p", "n", "\u00b5", "m", "", "k", "M", "G", "T", "P", "E", "Z", "Y"];
+        return function(val, step) {
+            var exp = DashGraph.engineeringExponent(val);
+            exp = Math.min(Math.max(exp, -24), 24);
+            var prefix = prefixes[exp/3 + 8];
+            var text = DashGraph.formatMantissa(val, step, exp);
+            if (unit) {
+                return text + " " + prefix + unit;
+            }
+            return text + prefix;
+        }
+    },
+    
+    /**
+     * Engineering notation, with exponents that are multiples of 3, like
+     * 350e-6.
+     */
+    engineering: function(unit) {
+        var suffix = unit ? " " + unit : "";
+        return function(val, step) {
+            var exp = DashGraph.engineeringExponent(val);
+            return DashGraph.formatMantissa(val, step, exp) + (exp !== 0 ? "e" + exp : "") + suffix;
+        }
+    },
+    
+    /**
+     * Scientific notation, with one digit before the decimal point, like
+     * 3.5e-4.
+     */
+    scientific: function(unit) {
+        var suffix = unit ? " " + unit : "";
+        return function(val, step) {
+            var exp = val === 0 ? 0 : Math.floor(DashGraph.log10(Math.abs(val)) + 1e-9);
+            return DashGraph.formatMantissa(val, step, exp) + (exp !== 0 ? "e" + exp : "") + suffix;
+        }
+    }
 }
 
 /**
- * Draws a box over the plot area to represent the zooming
+ * Returns the multiple of 3 exponent to show a value with in engineering
+ * notation.  Zero has no exponent, so it is shown as a plain 0.
+ * @param {Number} val The value.
+ * @return {int} Returns the exponent.
  */
-DashGraph.Plot.prototype.drawYZoom = function(yPos) {
-    // First clear any prior zooming
-    this.clearOverlay();
-    
-    // Draw the rectangle
-    this.ctxOverlay.fillStyle = "rgba(128,128,128,0.33)";
-    this.ctxOverlay.fillRect(this.plotXStart, this.yZoomStart, this.plotXStart + this.plotWidth, yPos - this.yZoomStart);
+DashGraph.engineeringExponent = function(val) {
+    if (val === 0) {
+        return 0;
+    }
+    return Math.floor(Math.floor(DashGraph.log10(Math.abs(val)) + 1e-9) / 3) * 3;
 }
 
+/**
+ * Formats a value divided by a power of 10, with the decimals needed for the
+ * step between the ticks (or 4 significant digits if there is no step).
+ * @param {Number} val The value.
+ * @param {Number} step The step between the ticks, or null.
+ * @param {int} exp The power of 10.
+ * @return {String} Returns the text.
+ */
+DashGraph.formatMantissa = function(val, step, exp) {
+    // The log of 0 has no digits to count
+    if (val === 0) {
+        return "0";
+    }
+    var scale = Math.pow(10, exp);
+    var mantissa = val / scale;
+    if (step === null || step === undefined || step === 0) {
+        return DashGraph.trimZeros(mantissa.toFixed(
+            Math.min(Math.max(3 - Math.floor(DashGraph.log10(Math.abs(mantissa)) + 1e-9), 0), 20)));
+    }
+    return DashGraph.trimZeros(mantissa.toFixed(DashGraph.stepDecimals(step / scale)));
+}
 
 
 /**
- * Clears the overlay in the most efficient way possible
+ * The built-in themes, for the theme option of DashGraph.Plot.
+ *   background: The color behind the plot, or null to show the page.
+ *   textColor: The color of the labels and titles, or null to use the page's.
+ *   fontSize, fontFamily, titleFontSize: The fonts of the labels and titles.
+ *       The legend and readout use the label font.
+ *   grid: If the grid is drawn.
+ *   gridColor, minorGridColor: The colors of the grid, and the minor grid of
+ *       log axes.
+ *   axisColor: The color of the axis lines.
+ *   palette: The colors given to the lines, in order.
+ *   lineWidth, lineDash: The width and dash pattern (for setLineDash) of
+ *       the lines.
+ *   zoomColor: The color of the box drawn while zooming.
+ *   crosshairColor: The color of the hover crosshair.
+ *   annotationColor: The color of annotations without their own.
+ *   panelBackground, panelBorder: The colors of the legend and readout.
  */
-DashGraph.Plot.prototype.clearOverlay = function() {
-    // TODO: Store the bounding box of objects drawn on the overlay,
-    // so this will be more efficient
-    this.ctxOverlay.clearRect(0, 0, this.width, this.height);
+DashGraph.themes = {
+    light: {
+        background: null,
+        textColor: null,
+        fontSize: 14,
+        fontFamily: "sans-serif",
+        titleFontSize: 16,
+        grid: true,
+        gridColor: "#DDDDDD",
+        minorGridColor: "#F0F0F0",
+        axisColor: "#999999",
+        palette: ["#0000AA", "#00AA00", "#AA0000", "#AAAA00", "#AA00AA", "#00AAAA"],
+        lineWidth: 1,
+        lineDash: [],
+        zoomColor: "rgba(128,128,128,0.33)",
+        crosshairColor: "rgba(128,128,128,0.8)",
+        annotationColor: "#555555",
+        panelBackground: "rgba(255,255,255,0.8)",
+        panelBorder: "#DDDDDD"
+    },
+    dark: {
+        background: "#1E1E1E",
+        textColor: "#DDDDDD",
+        gridColor: "#3A3A3A",
+        minorGridColor: "#2A2A2A",
+        axisColor: "#888888",
+        palette: ["#5599FF", "#55DD55", "#FF6655", "#EEDD44", "#DD66EE", "#44DDDD"],
+        zoomColor: "rgba(200,200,200,0.25)",
+        crosshairColor: "rgba(200,200,200,0.8)",
+        annotationColor: "#CCCCCC",
+        panelBackground: "rgba(30,30,30,0.85)",
+        panelBorder: "#555555"
+    }
 }
+
 /**
- * Helper function to determine the canvas position of the x-point
+ * Makes a complete theme.  Options that are left out are taken from the base
+ * theme (the base field, which is 'light' by default).  The built-in themes
+ * other than light are also based on light.
+ * @param {Object} theme The name of a theme in DashGraph.themes, an object
+ *     of options, or undefined for the light theme.
+ * @return {Object} Returns the theme, with every option set.
  */
-DashGraph.Plot.prototype.getXCanvasPos = function(x) {    
-    return (x * this.xScale + this.xBias);
+DashGraph.makeTheme = function(theme) {
+    if (theme === undefined || theme === null) {
+        theme = 'light';
+    }
+    if (typeof theme === 'string') {
+        if (!DashGraph.themes.hasOwnProperty(theme)) {
+            throw new Error("DashGraph: unknown theme " + theme);
+        }
+        theme = DashGraph.themes[theme];
+    }
+    var base = DashGraph.themes.light;
+    if (theme.base !== undefined && theme.base !== 'light') {
+        base = DashGraph.makeTheme(theme.base);
+    }
+    var result = {};
+    var key;
+    for (key in base) {
+        result[key] = base[key];
+    }
+    for (key in theme) {
+        if (key !== 'base') {
+            result[key] = theme[key];
+        }
+    }
+    return result;
 }
 
 /**
- * Helper function to determine the x-value of the x-pixel
+ * Blends the colors of a colormap into a table of evenly spaced colors, so a
+ * value can be colored by looking up its position in the table.
+ * @param {Array} colors The colors of the colormap, from the lowest value to
+ *     the highest.
+ * @param {uint} steps The number of colors in the table.  Defaults to 64.
+ * @return {Array} Returns the table of colors, as 'rgb(r, g, b)' strings.
  */
-DashGraph.Plot.prototype.getXPixelPos = function(x) {
-    // TODO: Round this, but for now it looks better without it
-    // | 0 is a faster way to do "Math.floor", so using that instead
-    return (x-this.xBias)/this.xScale; // TODO: If this works, set a 1/xScale value
+DashGraph.makeColormap = function(colors, steps) {
+    var i, pos, ind, frac, c0, c1;
+    steps = steps ? steps : 64;
+    var rgbs = colors.map(DashGraph.parseColor);
+    var table = [];
+    for (i = 0; i < steps; i++) {
+        // Find the two colors this step falls between
+        pos = (rgbs.length - 1) * i / (steps - 1);
+        ind = Math.min(Math.floor(pos), rgbs.length - 2);
+        c0 = rgbs[Math.max(ind, 0)];
+        c1 = rgbs[Math.max(ind + 1, 0)];
+        frac = pos - ind;
+        table.push("rgb(" + Math.round(c0[0] + (c1[0] - c0[0]) * frac) + ", " +
+            Math.round(c0[1] + (c1[1] - c0[1]) * frac) + ", " +
+            Math.round(c0[2] + (c1[2] - c0[2]) * frac) + ")");
+    }
+    return table;
 }
 
 /**
- * Helper function to determine the canvas position of the y-point
+ * Parses a color into its red, green and blue values.
+ * @param {String} color The color, as '#RGB', '#RRGGBB' or 'rgb(r, g, b)'.
+ * @return {Array} Returns the red, green and blue values, from 0 to 255.
  */
-DashGraph.Plot.prototype.getYCanvasPos = function(y) {
-    return (y * this.yScale + this.yBias);
+DashGraph.parseColor = function(color) {
+    var match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+    if (match) {
+        return [parseInt(match[1] + match[1], 16), parseInt(match[2] + match[2], 16), parseInt(match[3] + match[3], 16)];
+    }
+    match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+    if (match) {
+        return [parseInt(match[1], 16), parseInt(match[2], 16), parseInt(match[3], 16)];
+    }
+    match = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color);
+    if (match) {
+        return [Number(match[1]), Number(match[2]), Number(match[3])];
+    }
+    throw new Error("DashGraph: unknown color " + color);
 }
 
 /**
- * Helper function to determine the canvas position of the y-point
+ * Returns the base 10 log of a value.  Values at or below zero return the log
+ * of the smallest number, rather than -Infinity or NaN, so they can still be
+ * drawn (far off the plot).
+ * @param {Number} val The value.
  */
-DashGraph.Plot.prototype.getYPixelPos = function(y) {
-    // TODO: Round this, but for now it looks better without it
-    return (y-this.yBias)/this.yScale; // TODO: If this works, set a 1/yScale value
+DashGraph.log10 = function(val) {
+    return val > 0 ? Math.log(val) / Math.LN10 : -324;
 }
 
 /**
- * Calculate the ticks given a min and max value
+ * The number of milliseconds in an average year.
  */
-DashGraph.Plot.prototype.getTicks = function(minVal, maxVal, pixels) {
-    var mults = [.5,1,2,5]; // The possible multiples for the scale
-    var ticks = [];
-    var scale, low, high, spacing, i, val;
-    
-    // Calculate the approximate power of the input by the LOG10 of it
-    var basePower = Math.floor(Math.log(maxVal-minVal)/Math.LN10);
-    // Get the base scale of the function.
-    
-    // TODO: Make this more efficient.  Can probably remove a lot of these calculations
-    // until after the appropriate multiple is discovered.
-    var baseScale = Math.pow(10, basePower);
-    for (i = 0; i < mults.length; i++) {
-        scale = baseScale * mults[i];
-        low = Math.floor(minVal / scale) * scale;
-        high = Math.ceil(maxVal / scale) * scale;
-        nTicks = Math.abs(high - low) / scale;
-        spacing = pixels / nTicks;
-        if (spacing > this.minTickPixels) break;
-    }
+DashGraph.yearMs = 365.25 * 86400000;
 
-    // Make ticks    
-    for (i = 0; i < nTicks; i++) {
-        // Only add ticks within our region
-        val = low + i * scale;
-        if (val >= minVal && val <= maxVal) {
-            ticks.push(val);
-        }        
+/**
+ * The steps between the ticks of a time axis, from smallest to largest, with
+ * the unit of time, the number of units and the approximate milliseconds.
+ */
+DashGraph.timeSteps = [
+    {unit: 'second', count: 1, ms: 1000},
+    {unit: 'second', count: 2, ms: 2000},
+    {unit: 'second', count: 5, ms: 5000},
+    {unit: 'second', count: 10, ms: 10000},
+    {unit: 'second', count: 15, ms: 15000},
+    {unit: 'second', count: 30, ms: 30000},
+    {unit: 'minute', count: 1, ms: 60000},
+    {unit: 'minute', count: 2, ms: 120000},
+    {unit: 'minute', count: 5, ms: 300000},
+    {unit: 'minute', count: 10, ms: 600000},
+    {unit: 'minute', count: 15, ms: 900000},
+    {unit: 'minute', count: 30, ms: 1800000},
+    {unit: 'hour', count: 1, ms: 3600000},
+    {unit: 'hour', count: 2, ms: 7200000},
+    {unit: 'hour', count: 3, ms: 10800000},
+    {unit: 'hour', count: 6, ms: 21600000},
+    {unit: 'hour', count: 12, ms: 43200000},
+    {unit: 'day', count: 1, ms: 86400000},
+    {unit: 'day', count: 2, ms: 172800000},
+    {unit: 'day', count: 7, ms: 604800000},
+    {unit: 'day', count: 14, ms: 1209600000},
+    {unit: 'month', count: 1, ms: DashGraph.yearMs/12},
+    {unit: 'month', count: 2, ms: DashGraph.yearMs/6},
+    {unit: 'month', count: 3, ms: DashGraph.yearMs/4},
+    {unit: 'month', count: 6, ms: DashGraph.yearMs/2},
+    {unit: 'year', count: 1, ms: DashGraph.yearMs}
+];
+
+/**
+ * The abbreviated names of the months.
+ */
+DashGraph.monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Returns the fields of a time, in UTC or the local time zone.
+ * @param {Number} t The time, in milliseconds since the epoch.
+ * @param {bool} utc If the fields are in UTC.
+ * @return {Object} Returns the year, month (0-11), day (1-31), hour, minute,
+ *     second and millisecond.
+ */
+DashGraph.getTimeFields = function(t, utc) {
+    var d = new Date(t);
+    if (utc) {
+        return {year: d.getUTCFullYear(), month: d.getUTCMonth(), day: d.getUTCDate(),
+            hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds(),
+            millisecond: d.getUTCMilliseconds()};
     }
-    return ticks;
+    return {year: d.getFullYear(), month: d.getMonth(), day: d.getDate(),
+        hour: d.getHours(), minute: d.getMinutes(), second: d.getSeconds(),
+        millisecond: d.getMilliseconds()};
 }
 
 /**
- * Grabs a unique color from the plots colors.
+ * Returns the time of a set of fields, in UTC or the local time zone.  Fields
+ * past their range roll over, so a day of 32 is in the next month.
+ * @param {Object} f The fields, as from getTimeFields.
+ * @param {bool} utc If the fields are in UTC.
+ * @return {Number} Returns the time, in milliseconds since the epoch.
  */
-DashGraph.Plot.prototype.getColor = function () {
-    if (this.colorInd === this.plotColors.length) {
-        this.colorInd = 0;
+DashGraph.makeTime = function(f, utc) {
+    if (utc) {
+        return Date.UTC(f.year, f.month, f.day, f.hour, f.minute, f.second, f.millisecond);
     }
-    return this.plotColors[this.colorInd++];
+    return new Date(f.year, f.month, f.day, f.hour, f.minute, f.second, f.millisecond).getTime();
 }
 
 /**
- * Binary search for a value.
+ * Rounds a time down to a multiple of a time step.  Days are counted from the
+ * first of the month, and months from January.
+ * @param {Number} t The time, in milliseconds since the epoch.
+ * @param {Object} step The step, as in DashGraph.timeSteps.
+ * @param {bool} utc If the time is rounded in UTC.
+ * @return {Number} Returns the rounded time.
  */
-DashGraph.binarySearch = function(a, x, upper) {
-    var lo = 0, hi = a.length - 1;
-    while(hi - lo > 1) {
-        var mid = Math.round((lo + hi) / 2);
-        if(a[mid] <= x) {
-            lo = mid;
-        } else {
-            hi = mid;
-        }
+DashGraph.floorTime = function(t, step, utc) {
+    var f = DashGraph.getTimeFields(t, utc);
+    var units = ['year', 'month', 'day', 'hour', 'minute', 'second', 'millisecond'];
+    var ind = units.indexOf(step.unit);
+    // Clear the fields smaller than the unit
+    for (var i = ind + 1; i < units.length; i++) {
+        f[units[i]] = units[i] === 'day' ? 1 : 0;
     }
-    if (upper) {
-        return hi;
+    if (step.unit === 'day') {
+        f.day = Math.floor((f.day - 1) / step.count) * step.count + 1;
     } else {
-        return lo;
+        f[step.unit] = Math.floor(f[step.unit] / step.count) * step.count;
     }
+    return DashGraph.makeTime(f, utc);
 }
 
 /**
- * Rounds to the specified number of digits, at max.
+ * Adds a time step to a time.
+ * @param {Number} t The time, in milliseconds since the epoch.
+ * @param {Object} step The step, as in DashGraph.timeSteps.
+ * @param {bool} utc If the step is added in UTC.
+ * @return {Number} Returns the new time.
  */
-DashGraph.roundToString = function(val, precision) {   
-    return val.toFixed(precision).replace(/\.*0*$/, '');
+DashGraph.addTime = function(t, step, utc) {
+    var f = DashGraph.getTimeFields(t, utc);
+    f[step.unit] += step.count;
+    return DashGraph.makeTime(f, utc);
 }
 
+/**
+ * Formats a time for a tick label or a readout.  Tick labels only show what
+ * changes at the step between the ticks (like 14:05 for minutes), along with
+ * the date or year where it changes.  Readouts show the full date, and the
+ * time down to the step.
+ * @param {Number} t The time, in milliseconds since the epoch.
+ * @param {String} unit The unit of the step between the ticks.
+ * @param {bool} utc If the time is shown in UTC.
+ * @param {bool} isTick If the time is for a tick label.
+ * @return {String} Returns the text.
+ */
+DashGraph.formatTime = function(t, unit, utc, isTick) {
+    var f = DashGraph.getTimeFields(t, utc);
+    var pad = function(val, len) {
+        val = String(val);
+        while (val.length < len) {
+            val = "0" + val;
+        }
+        return val;
+    }
+    var date = DashGraph.monthNames[f.month] + " " + f.day;
+    var time = pad(f.hour, 2) + ":" + pad(f.minute, 2);
+    if (unit === 'second' || unit === 'millisecond') {
+        time += ":" + pad(f.second, 2);
+    }
+    if (unit === 'millisecond') {
+        time += "." + pad(f.millisecond, 3);
+    }
+    
+    if (!isTick) {
+        if (unit === 'year' || unit === 'month' || unit === 'day') {
+            return date + ", " + f.year;
+        }
+        return date + ", " + f.year + " " + time;
+    }
+    if (unit === 'year') {
+        return String(f.year);
+    } else if (unit === 'month') {
+        return f.month === 0 ? String(f.year) : DashGraph.monthNames[f.month];
+    } else if (unit === 'day') {
+        return f.month === 0 && f.day === 1 ? String(f.year) : date;
+    } else if (f.hour === 0 && f.minute === 0 && f.second === 0 && f.millisecond === 0) {
+        // Show the date at midnight
+        return date;
+    }
+    return time;
+}
 
 /**
  * Returns the x-coordinate of the supplied object.
@@ -1103,8 +6018,19 @@ DashGraph.interpolate = function(x0, y0, x1, y1, x) {
 }
 
 /**
- * Returns if the object is an array 
+ * Returns if the object is an array, including typed arrays (Float64Array,
+ * Int16Array, etc.)
  */
 DashGraph.isArray = function(val) {
-    return Object.prototype.toString.call(val) === '[object Array]';
+    if (Object.prototype.toString.call(val) === '[object Array]') {
+        return true;
+    }
+    // Typed arrays are views on an ArrayBuffer, as are DataViews.
+    return typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView !== undefined &&
+        ArrayBuffer.isView(val) && !(val instanceof DataView);
+}
+
+// Export for Node, so plots can be made without a browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashGraph;
 }